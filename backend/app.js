@@ -0,0 +1,49 @@
+import express from "express";
+import cors from "cors";
+import cookieParser from "cookie-parser";
+import authRoutes from "./routes/authRoutes.js";
+import orgRoutes from "./routes/orgRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import { csrfProtection } from "./middleware/csrf.js";
+import { errorHandler, notFound, requestId } from "./middleware/errorHandler.js";
+
+// Browsers may call the API (with cookies) only from CORS_ORIGINS, a comma-separated
+// list that defaults to CLIENT_URL. Requests without an Origin (curl, server-to-server) pass.
+const allowedOrigins = () =>
+  (process.env.CORS_ORIGINS || process.env.CLIENT_URL || "http://localhost:5173")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+
+// The Express app without a database connection or a listening port: server.js adds both,
+// and the integration tests mount it on a throwaway port against an in-memory MongoDB.
+export const createApp = () => {
+  const app = express();
+
+  // Behind a reverse proxy (Render, Nginx, ...) set TRUST_PROXY=1 so req.ip is the client's address.
+  if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
+  // Middlewares
+  app.use(requestId);
+  app.use(
+    cors({
+      origin: (origin, callback) => callback(null, !origin || allowedOrigins().includes(origin)),
+      credentials: true,
+      exposedHeaders: ["Retry-After", "X-Request-Id"],
+    })
+  );
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api", csrfProtection);
+
+  // Routes
+  app.use("/api/auth", authRoutes);
+  app.use("/api/orgs", orgRoutes);
+  app.use("/api/admin", adminRoutes);
+
+  // Errors: unknown routes, then one envelope for everything thrown or passed to next()
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
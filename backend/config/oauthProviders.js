@@ -0,0 +1,62 @@
+// OAuth 2.0 provider registry.
+//
+// Each entry is a factory returning the provider definition, evaluated on
+// lookup so credentials and endpoints come from the current environment.
+// Endpoints can be overridden per provider (<NAME>_AUTH_URL, <NAME>_TOKEN_URL,
+// <NAME>_USERINFO_URL, ...) which lets tests point at a local mock IdP.
+// A provider is only enabled when <NAME>_CLIENT_ID is set.
+//
+// getProfile(accessToken, fetchJson) must resolve to
+// { subject, email, emailVerified, name }.
+
+const env = (name, key, fallback) => process.env[`${name.toUpperCase()}_${key}`] || fallback;
+
+const providers = {
+  google: () => ({
+    authorizationUrl: env("google", "AUTH_URL", "https://accounts.google.com/o/oauth2/v2/auth"),
+    tokenUrl: env("google", "TOKEN_URL", "https://oauth2.googleapis.com/token"),
+    userInfoUrl: env("google", "USERINFO_URL", "https://openidconnect.googleapis.com/v1/userinfo"),
+    scope: "openid email profile",
+    async getProfile(accessToken, fetchJson) {
+      const info = await fetchJson(this.userInfoUrl, accessToken);
+      return {
+        subject: String(info.sub),
+        email: info.email,
+        emailVerified: info.email_verified === true,
+        name: info.name || info.email,
+      };
+    },
+  }),
+
+  github: () => ({
+    authorizationUrl: env("github", "AUTH_URL", "https://github.com/login/oauth/authorize"),
+    tokenUrl: env("github", "TOKEN_URL", "https://github.com/login/oauth/access_token"),
+    userInfoUrl: env("github", "USERINFO_URL", "https://api.github.com/user"),
+    emailsUrl: env("github", "EMAILS_URL", "https://api.github.com/user/emails"),
+    scope: "read:user user:email",
+    async getProfile(accessToken, fetchJson) {
+      const info = await fetchJson(this.userInfoUrl, accessToken);
+      // the profile email may be private or unverified; use the verified primary one
+      const emails = await fetchJson(this.emailsUrl, accessToken);
+      const primary = emails.find((e) => e.primary && e.verified) || emails.find((e) => e.verified);
+      return {
+        subject: String(info.id),
+        email: primary?.email || info.email,
+        emailVerified: Boolean(primary),
+        name: info.name || info.login,
+      };
+    },
+  }),
+};
+
+export const registerOAuthProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+// Returns the configured provider or null when unknown / missing credentials.
+export const getOAuthProvider = (name) => {
+  if (!Object.hasOwn(providers, name)) return null;
+  const clientId = env(name, "CLIENT_ID");
+  if (!clientId) return null;
+  return { name, clientId, clientSecret: env(name, "CLIENT_SECRET"), ...providers[name]() };
+};
@@ -0,0 +1,39 @@
+// Role → permission registry.
+//
+// Permissions are "<resource>:<action>" strings. A grant of "<resource>:*"
+// covers every action on that resource and "*" covers everything.
+// Users get the union of their global `roles`, any extra `permissions`
+// stored on their document, and the role they hold in their organization.
+
+export const ROLES = {
+  user: ["profile:read", "profile:write"],
+  admin: ["*"],
+};
+
+export const ORGANIZATION_ROLES = {
+  member: ["org:read"],
+  admin: ["org:read", "org:invite"],
+  owner: ["org:*"],
+};
+
+export const DEFAULT_ROLE = "user";
+
+export const registerRole = (name, permissions) => {
+  ROLES[name] = permissions;
+};
+
+// True when one of `granted` covers `permission`.
+export const hasPermission = (granted, permission) => {
+  const [resource] = permission.split(":");
+  return granted.some((grant) => grant === "*" || grant === permission || grant === `${resource}:*`);
+};
+
+// Every permission `user` holds, deduplicated.
+export const permissionsFor = (user) => {
+  const granted = [
+    ...(user.roles?.length ? user.roles : [DEFAULT_ROLE]).flatMap((role) => ROLES[role] || []),
+    ...(user.permissions || []),
+    ...(user.organization ? ORGANIZATION_ROLES[user.organizationRole] || [] : []),
+  ];
+  return [...new Set(granted)];
+};
@@ -0,0 +1,90 @@
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import { clearAuthCookies } from "../utils/tokens.js";
+import { revokeUserSessions, startSession } from "../utils/session.js";
+import { sendVerificationEmail } from "../utils/emailVerification.js";
+import { checkNewPassword, setUserPassword } from "../utils/passwordPolicy.js";
+import { recordAuthEvent, recordAuthFailure } from "../utils/audit.js";
+import { ValidationError } from "../utils/errors.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+const deletionGraceDays = () => Number(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? 30);
+
+// Accounts that only sign in through OAuth have no password to confirm with.
+const passwordMatches = async (user, password) => !user.password || bcrypt.compare(password || "", user.password);
+
+// Update Profile (name, and email after the new address is confirmed)
+export const updateMe = asyncHandler(async (req, res) => {
+  const { name, email } = req.body;
+  const user = await User.findById(req.user._id);
+  let message = "Profile updated";
+
+  if (name) user.name = name;
+
+  if (email && email !== user.email) {
+    const taken = await User.exists({ email, _id: { $ne: user._id } });
+    if (taken) throw new ValidationError({ email: "That email address is already used by another account" });
+
+    user.pendingEmail = email;
+    await sendVerificationEmail(user);
+    message = `We sent a confirmation link to ${email}. Your email changes once you open it.`;
+  } else if (email && user.pendingEmail) {
+    // asking for the current address again cancels a pending change
+    user.pendingEmail = undefined;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+  }
+
+  await user.save();
+  await recordAuthEvent(req, {
+    type: "profile_updated",
+    user,
+    reason: user.pendingEmail ? "email_change_requested" : null,
+  });
+  res.status(200).json({ message, user: user.toProfile() });
+});
+
+// Change Password (requires the current one; other sessions are signed out)
+export const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user._id).select("+password +passwordHistory");
+
+  if (!(await passwordMatches(user, currentPassword))) {
+    await recordAuthFailure(req, "password_changed", "invalid_password", { user });
+    throw new ValidationError({ currentPassword: "Current password is incorrect" });
+  }
+
+  const problem = await checkNewPassword(user, newPassword);
+  if (problem) throw new ValidationError({ newPassword: problem });
+
+  await setUserPassword(user, newPassword);
+  await user.save();
+  // passwordChangedAt invalidates every access token, so this client gets a fresh session
+  await revokeUserSessions(user._id, "password_changed");
+  const tokens = await startSession(req, res, user, { remember: !!req.authSession?.remember });
+  await recordAuthEvent(req, { type: "password_changed", user });
+
+  res.status(200).json({ message: "Password changed. Other devices have been signed out.", ...tokens });
+});
+
+// Delete Account (soft delete; signing in again within the grace period restores it)
+export const deleteMe = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("+password");
+  if (!(await passwordMatches(user, req.body.password))) {
+    await recordAuthFailure(req, "account_deleted", "invalid_password", { user });
+    throw new ValidationError({ password: "Password is incorrect" });
+  }
+
+  const days = deletionGraceDays();
+  user.deletedAt = new Date();
+  user.purgeAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  await user.save();
+  await revokeUserSessions(user._id, "account_deleted");
+  clearAuthCookies(res);
+  await recordAuthEvent(req, { type: "account_deleted", user });
+
+  res.status(200).json({
+    message: `Your account will be permanently deleted in ${days} days. Sign in before then to keep it.`,
+    purgeAt: user.purgeAt,
+  });
+});
@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { permissionsFor } from "../config/roles.js";
+import { revokeUserSessions } from "../utils/session.js";
+import { deleteAccountData } from "../utils/accountPurge.js";
+import { sendPasswordResetEmail } from "../utils/passwordReset.js";
+import { recordAuthEvent } from "../utils/audit.js";
+import { BadRequestError, NotFoundError } from "../utils/errors.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+// Fields shown in the admin table; secrets and token hashes never leave the server.
+const LIST_FIELDS =
+  "name email roles accountType organization organizationRole emailVerified mfa.enabled disabledAt deletedAt lastLoginAt createdAt";
+const DETAIL_EXCLUDE =
+  "-password -emailVerificationTokenHash -passwordResetTokenHash -failedLoginAttempts -lastFailedLoginAt";
+
+const SORT_FIELDS = ["name", "email", "createdAt", "lastLoginAt"];
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const STATUS_FILTERS = {
+  active: { disabledAt: null, deletedAt: null },
+  disabled: { disabledAt: { $ne: null } },
+  deleted: { deletedAt: { $ne: null } },
+  unverified: { emailVerified: false },
+};
+
+// Loads the :id user, throwing a 404 when there is none.
+const findTarget = async (req, projection = DETAIL_EXCLUDE) => {
+  const user = mongoose.isValidObjectId(req.params.id) && (await User.findById(req.params.id).select(projection));
+  if (!user) throw new NotFoundError("User not found", { code: "user_not_found" });
+  return user;
+};
+
+// Admins can't lock themselves out by disabling or deleting their own account.
+const rejectSelf = (req) => {
+  if (String(req.params.id) === String(req.user._id))
+    throw new BadRequestError("You can't do that to your own account", { code: "self_action_forbidden" });
+};
+
+// List Users (?search=&status=&role=&accountType=&sort=-createdAt&page=1&limit=20)
+export const listUsers = asyncHandler(async (req, res) => {
+  const { search, status, role, accountType, sort = "-createdAt" } = req.query;
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+  const filter = { ...(STATUS_FILTERS[status] || {}) };
+  if (search) {
+    const pattern = new RegExp(escapeRegExp(search), "i");
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+  if (role) filter.roles = role;
+  if (accountType) filter.accountType = accountType;
+
+  const direction = sort.startsWith("-") ? -1 : 1;
+  const field = SORT_FIELDS.includes(sort.replace(/^-/, "")) ? sort.replace(/^-/, "") : "createdAt";
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select(LIST_FIELDS)
+      .sort({ [field]: direction, _id: direction })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+
+  res.status(200).json({ users, page, limit, total, pages: Math.ceil(total / limit) });
+});
+
+// View User (with effective permissions and live session count)
+export const getUser = asyncHandler(async (req, res) => {
+  const user = await findTarget(req);
+
+  const activeSessions = await Session.countDocuments({
+    user: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  res.status(200).json({ user, permissions: permissionsFor(user), activeSessions });
+});
+
+// Disable User (blocks sign-in and every existing token)
+export const disableUser = asyncHandler(async (req, res) => {
+  rejectSelf(req);
+  const user = await findTarget(req);
+
+  user.disabledAt = new Date();
+  user.disabledReason = req.body.reason;
+  await user.save();
+  await revokeUserSessions(user._id, "account_disabled");
+  await recordAuthEvent(req, { type: "admin_user_disabled", user, actor: req.user, reason: user.disabledReason });
+
+  res.status(200).json({ message: `${user.email} has been disabled`, user });
+});
+
+// Enable User
+export const enableUser = asyncHandler(async (req, res) => {
+  const user = await findTarget(req);
+
+  user.disabledAt = undefined;
+  user.disabledReason = undefined;
+  await user.save();
+  await recordAuthEvent(req, { type: "admin_user_enabled", user, actor: req.user });
+
+  res.status(200).json({ message: `${user.email} has been enabled`, user });
+});
+
+// Force Password Reset (signs the user out and emails a reset link; password sign-in
+// is refused until the reset is done)
+export const forcePasswordReset = asyncHandler(async (req, res) => {
+  const user = await findTarget(req);
+
+  user.passwordResetRequired = true;
+  user.passwordChangedAt = new Date();
+  await sendPasswordResetEmail(user);
+  await revokeUserSessions(user._id, "password_reset_forced");
+  await recordAuthEvent(req, { type: "admin_password_reset_forced", user, actor: req.user });
+
+  res.status(200).json({ message: `A password reset link has been sent to ${user.email}` });
+});
+
+// Revoke Sessions (signs the user out everywhere)
+export const revokeSessions = asyncHandler(async (req, res) => {
+  const user = await findTarget(req, "_id email");
+
+  const result = await revokeUserSessions(user._id, "revoked_by_admin");
+  await recordAuthEvent(req, { type: "admin_sessions_revoked", user, actor: req.user });
+  res.status(200).json({ message: `Revoked ${result.modifiedCount} session(s)`, revoked: result.modifiedCount });
+});
+
+// Delete User (immediate and permanent, unlike DELETE /api/auth/me)
+export const deleteUser = asyncHandler(async (req, res) => {
+  rejectSelf(req);
+  const user = await findTarget(req, "_id email");
+
+  await User.deleteOne({ _id: user._id });
+  await deleteAccountData(user._id);
+  // the user's own events stay until retention ends
+  await recordAuthEvent(req, { type: "admin_user_deleted", user, actor: req.user });
+
+  res.status(200).json({ message: `${user.email} has been deleted` });
+});
@@ -0,0 +1,90 @@
+import AuthEvent from "../models/AuthEvent.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+const MAX_PAGE_SIZE = 100;
+const exportLimit = () => Number(process.env.AUTH_EVENT_EXPORT_MAX) || 10000;
+
+// The most recent events shown to users about their own account.
+const ACTIVITY_LIMIT = 50;
+
+const CSV_COLUMNS = ["createdAt", "type", "outcome", "reason", "user", "email", "actor", "ip", "userAgent"];
+
+// Query-string filters shared by the list and the export (validated by authEventListSchema).
+const eventFilter = ({ type, outcome, user, email, ip, from, to }) => {
+  const filter = {};
+  if (type) filter.type = type;
+  if (outcome) filter.outcome = outcome;
+  if (user) filter.user = user;
+  if (email) filter.email = email.trim().toLowerCase();
+  if (ip) filter.ip = ip.trim();
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  return filter;
+};
+
+// Quote every cell, and defuse values a spreadsheet would run as a formula.
+const csvCell = (value) => {
+  let text = value instanceof Date ? value.toISOString() : value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// List Auth Events (?type=&outcome=&user=&email=&ip=&from=&to=&page=1&limit=50), newest first
+export const listAuthEvents = asyncHandler(async (req, res) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+  const filter = eventFilter(req.query);
+
+  const [events, total] = await Promise.all([
+    AuthEvent.find(filter)
+      .select("-expiresAt")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuthEvent.countDocuments(filter),
+  ]);
+
+  res.status(200).json({ events, page, limit, total, pages: Math.ceil(total / limit) });
+});
+
+// Export Auth Events (same filters, ?format=csv|json; at most AUTH_EVENT_EXPORT_MAX rows, newest first)
+export const exportAuthEvents = asyncHandler(async (req, res) => {
+  const format = req.query.format || "csv";
+  const cursor = AuthEvent.find(eventFilter(req.query))
+    .select("-expiresAt")
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(exportLimit())
+    .lean()
+    .cursor();
+
+  const filename = `auth-events-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.attachment(filename);
+  res.type(format === "json" ? "application/json" : "text/csv");
+
+  // stream rows so large exports don't sit in memory
+  if (format === "json") {
+    res.write("[");
+    let first = true;
+    for await (const event of cursor) {
+      res.write(`${first ? "" : ","}\n${JSON.stringify(event)}`);
+      first = false;
+    }
+    return res.end("\n]\n");
+  }
+
+  res.write(`${CSV_COLUMNS.join(",")}\n`);
+  for await (const event of cursor) res.write(`${CSV_COLUMNS.map((column) => csvCell(event[column])).join(",")}\n`);
+  res.end();
+});
+
+// My Security Activity (recent events on the signed-in user's account)
+export const getMyActivity = asyncHandler(async (req, res) => {
+  const events = await AuthEvent.find({ user: req.user._id })
+    .select("type outcome reason ip userAgent actor createdAt")
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(ACTIVITY_LIMIT);
+  res.status(200).json({ events });
+});
@@ -1,37 +1,360 @@
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import Organization from "../models/Organization.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import {
+  CSRF_COOKIE,
+  REFRESH_COOKIE,
+  accessTokenResponse,
+  clearAuthCookies,
+  generateRefreshToken,
+  hashToken,
+  issueCsrfToken,
+  setRefreshCookie,
+  usesCookieAuth,
+} from "../utils/tokens.js";
+import {
+  accountDisabledError,
+  passwordResetRequiredError,
+  refreshGraceMs,
+  revokeUserSessions,
+  sessionIdleError,
+  sessionInfo,
+  signInResponse,
+} from "../utils/session.js";
+import { sendVerificationEmail } from "../utils/emailVerification.js";
+import { sendPasswordResetEmail } from "../utils/passwordReset.js";
+import { consumeInvitation, findPendingInvitation } from "../utils/invitations.js";
+import { permissionsFor } from "../config/roles.js";
+import { recordAuthEvent, recordAuthFailure } from "../utils/audit.js";
+import {
+  DUMMY_PASSWORD_HASH,
+  LOGIN_FAILED_MESSAGE,
+  LOGIN_LOCKED_MESSAGE,
+  failureDelay,
+  lockedUntil,
+  recordLoginFailure,
+  recordLoginSuccess,
+  sleep,
+} from "../utils/loginThrottle.js";
+import {
+  AuthError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  RateLimitError,
+  ValidationError,
+} from "../utils/errors.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { checkNewPassword, publicPasswordPolicy, setUserPassword } from "../utils/passwordPolicy.js";
 
-// Register User
-export const registerUser = async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-    const existingUser = await User.findOne({ email });
-    if (existingUser)
-      return res.status(400).json({ message: "User already exists" });
+const requireVerifiedEmail = () => process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+const invalidInvitation = () =>
+  new BadRequestError("Invitation is invalid or has expired", { code: "invitation_invalid" });
+
+// Register User (personal, company owner, or invited teammate)
+export const registerUser = asyncHandler(async (req, res) => {
+  const { name, email, password, accountType, companyName, companyDomain, inviteToken } = req.body;
+
+  const invitation = inviteToken && (await findPendingInvitation(inviteToken));
+  if (inviteToken && !invitation) {
+    await recordAuthFailure(req, "register", "invalid_invitation", { email });
+    throw invalidInvitation();
+  }
+  if (invitation && invitation.email !== email)
+    throw new ValidationError({ email: "Use the email address the invitation was sent to" });
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    await recordAuthFailure(req, "register", "email_taken", { user: existingUser });
+    const message = "An account with this email already exists";
+    throw new ConflictError(message, { code: "email_taken", details: { fields: { email: message } } });
+  }
+
+  const isCompanyOwner = !invitation && accountType === "company";
+  if (isCompanyOwner && companyDomain && (await Organization.exists({ domain: companyDomain })))
+    throw new ValidationError({ companyDomain: "An organization with this domain already exists" });
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const newUser = await User.create({ name, email, password: hashedPassword });
+  const newUser = new User({ name, email, accountType: invitation ? "company" : accountType || "personal" });
+  await setUserPassword(newUser, password);
 
-    res.status(201).json({ message: "User registered successfully", user: newUser });
+  let organization;
+  if (invitation) {
+    // the invitation link was emailed to this address, so it needs no separate verification
+    newUser.organization = invitation.organization._id;
+    newUser.organizationRole = "member";
+    newUser.emailVerified = true;
+  } else if (isCompanyOwner) {
+    organization = new Organization({ name: companyName, domain: companyDomain, owner: newUser._id });
+    newUser.organization = organization._id;
+    newUser.organizationRole = "owner";
+  }
+
+  // The account is saved first, so a failed save (e.g. a concurrent sign-up with this email) has neither
+  // used up the invitation nor claimed the domain; if either of those fails afterwards, the account goes.
+  await newUser.save();
+  try {
+    if (invitation && !(await consumeInvitation(invitation, newUser._id))) throw invalidInvitation();
+    if (organization) await organization.save();
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    await User.deleteOne({ _id: newUser._id });
+    if (error.code === 11000)
+      throw new ValidationError({ companyDomain: "An organization with this domain already exists" });
+    throw error;
   }
-};
+  await recordAuthEvent(req, { type: "register", user: newUser, reason: invitation ? "invitation" : null });
+
+  if (!newUser.emailVerified) {
+    // A failed send shouldn't fail sign-up; the user can ask for another link.
+    await sendVerificationEmail(newUser).catch((error) =>
+      console.error("❌ Verification email failed:", error.message)
+    );
+  }
+
+  res.status(201).json({
+    message: newUser.emailVerified
+      ? `Welcome to ${invitation.organization.name}! You can now sign in.`
+      : "User registered successfully. Check your inbox to verify your email.",
+    user: newUser.toProfile(),
+  });
+});
 
 // Login User
-export const loginUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) return res.status(404).json({ message: "User not found" });
+export const loginUser = asyncHandler(async (req, res) => {
+  const { email, password, remember = false } = req.body;
+  const user = await User.findOne({ email }).select("+password");
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ message: "Invalid credentials" });
+  const lockExpiry = await lockedUntil(user, email);
+  if (lockExpiry) {
+    await recordAuthFailure(req, "login", "locked", { user, email });
+    throw new RateLimitError(LOGIN_LOCKED_MESSAGE, { resetAt: lockExpiry, code: "login_locked" });
+  }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1d" });
-    res.status(200).json({ message: "Login successful", token });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+  // Unknown and OAuth-only accounts are compared against a dummy hash so every
+  // failure takes as long, and all of them get the same generic answer.
+  const isMatch = await bcrypt.compare(password, user?.password || DUMMY_PASSWORD_HASH);
+  if (!user?.password || !isMatch) {
+    const failures = await recordLoginFailure(user, email);
+    await recordAuthFailure(req, "login", user ? "invalid_password" : "unknown_account", { user, email });
+    await sleep(failureDelay(failures));
+    throw new AuthError(LOGIN_FAILED_MESSAGE, { code: "invalid_credentials" });
+  }
+  if (user.disabledAt) {
+    await recordAuthFailure(req, "login", "account_disabled", { user });
+    throw accountDisabledError();
+  }
+  if (user.passwordResetRequired) {
+    await recordAuthFailure(req, "login", "password_reset_required", { user });
+    throw passwordResetRequiredError();
   }
+  if (requireVerifiedEmail() && !user.emailVerified) {
+    await recordAuthFailure(req, "login", "email_not_verified", { user });
+    throw new ForbiddenError("Please verify your email before signing in", { code: "email_not_verified" });
+  }
+
+  const result = await signInResponse(req, res, user, { remember });
+  // with 2FA the sign-in only completes at /login/mfa, which records its own event and only then
+  // resets the lockout (wrong codes count too, so the password alone must not wipe them)
+  if (!result.mfaToken) await recordLoginSuccess(user);
+  await recordAuthEvent(req, { type: "login", user, reason: result.mfaToken ? "mfa_required" : null });
+  res.status(200).json(result);
+});
+
+// Refresh Access Token (rotates the refresh cookie)
+export const refreshAccessToken = asyncHandler(async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (!presented) throw new AuthError("No refresh token", { code: "refresh_token_missing" });
+
+  const presentedHash = hashToken(presented);
+  const nextToken = generateRefreshToken();
+
+  // Swap atomically so two concurrent refreshes cannot both succeed. A
+  // refresh is not activity, so it leaves idleExpiresAt alone.
+  let session = await Session.findOneAndUpdate(
+    { tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: hashToken(nextToken), rotatedAt: new Date(), lastSeenAt: new Date(), ip: req.ip || null },
+      $push: { previousTokenHashes: presentedHash },
+    },
+    { new: true }
+  );
+  const rotated = !!session;
+
+  const reused = !session && (await Session.findOne({ previousTokenHashes: presentedHash }));
+  // Lost a race with another refresh from the same browser (e.g. a second tab): answer with a new
+  // access token and leave the refresh cookie to the winning response, which sets the current one.
+  if (reused?.justRotatedFrom(presentedHash, refreshGraceMs())) session = reused;
+
+  if (!session) {
+    // A token that was already rotated is being replayed: assume it was
+    // stolen and kill the whole family so neither party can keep using it.
+    if (reused && !reused.revokedAt) await reused.revoke("reuse_detected");
+    if (reused) await recordAuthFailure(req, "refresh", "reuse_detected", { user: reused.user });
+    clearAuthCookies(res);
+    throw reused
+      ? new AuthError("Refresh token reuse detected", { code: "refresh_token_reused" })
+      : new AuthError("Invalid or expired refresh token", { code: "refresh_token_invalid" });
+  }
+
+  if (session.isIdle()) {
+    await session.revoke("idle_timeout");
+    await recordAuthFailure(req, "refresh", "idle_timeout", { user: session.user });
+    clearAuthCookies(res);
+    throw sessionIdleError();
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await session.revoke("user_missing");
+    clearAuthCookies(res);
+    throw new AuthError("User no longer exists", { code: "user_not_found" });
+  }
+  if (user.disabledAt) {
+    await session.revoke("account_disabled");
+    await recordAuthFailure(req, "refresh", "account_disabled", { user });
+    clearAuthCookies(res);
+    // 401 like requireAuth: the refresh token itself is no longer good
+    throw new AuthError("This account has been disabled", { code: "account_disabled" });
+  }
+
+  const cookieExpiry = session.remember ? session.expiresAt : null;
+  if (rotated) setRefreshCookie(res, nextToken, cookieExpiry);
+  // keep the CSRF token stable for the session; only replace a lost cookie
+  const csrfToken = usesCookieAuth() && (req.cookies?.[CSRF_COOKIE] || issueCsrfToken(res, cookieExpiry));
+  res.status(200).json({
+    message: "Token refreshed",
+    ...accessTokenResponse(user, session._id, res),
+    ...(csrfToken && { csrfToken }),
+    session: sessionInfo(session),
+  });
+});
+
+// Logout User (revokes the current session)
+export const logoutUser = asyncHandler(async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (presented) {
+    const session = await Session.findOne({ tokenHash: hashToken(presented), revokedAt: null });
+    if (session) {
+      await session.revoke("logout");
+      await recordAuthEvent(req, { type: "logout", user: session.user });
+    }
+  }
+  clearAuthCookies(res);
+  res.status(200).json({ message: "Logged out" });
+});
+
+// CSRF Token (cookie mode: hands out the double-submit token, issuing one if the cookie is missing)
+export const getCsrfToken = (req, res) => {
+  if (!usesCookieAuth()) return res.status(200).json({ csrfToken: null, transport: "bearer" });
+  // a browser-session cookie: a remembered session that outlives it just asks again
+  const csrfToken = req.cookies?.[CSRF_COOKIE] || issueCsrfToken(res, null);
+  res.status(200).json({ csrfToken, transport: "cookie" });
+};
+
+// Current User (requires requireAuth; `session` carries the idle/absolute deadlines)
+export const getMe = async (req, res) => {
+  res.status(200).json({
+    user: req.user.toProfile(),
+    permissions: permissionsFor(req.user),
+    ...(req.authSession && { session: sessionInfo(req.authSession) }),
+  });
+};
+
+// Forgot Password (always answers the same way so emails can't be enumerated)
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const user = await User.findOne({ email });
+
+  if (user) {
+    await sendPasswordResetEmail(user);
+    await recordAuthEvent(req, { type: "password_reset_requested", user });
+  }
+
+  res.status(200).json({ message: "If an account exists for that email, a reset link has been sent." });
+});
+
+// Reset Password (consumes the single-use token and signs out every session)
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  const tokenHash = hashToken(token);
+  const invalidLink = () =>
+    new BadRequestError("Reset link is invalid or has expired", { code: "reset_token_invalid" });
+
+  const user = await User.findOne({
+    passwordResetTokenHash: tokenHash,
+    passwordResetExpires: { $gt: new Date() },
+  }).select("+password +passwordHistory");
+  if (!user) {
+    await recordAuthFailure(req, "password_reset", "invalid_token");
+    throw invalidLink();
+  }
+
+  // Policy failures leave the link usable so the user can try another password.
+  const problem = await checkNewPassword(user, password);
+  if (problem) throw new ValidationError({ password: problem });
+
+  // Clear the token in the same query that checks it so it can only be used once.
+  const consumed = await User.updateOne(
+    { _id: user._id, passwordResetTokenHash: tokenHash },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } }
+  );
+  if (!consumed.modifiedCount) throw invalidLink();
+
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpires = undefined;
+  user.passwordResetRequired = undefined;
+  await setUserPassword(user, password);
+  await user.save();
+  await revokeUserSessions(user._id, "password_reset");
+  await recordAuthEvent(req, { type: "password_reset", user });
+
+  res.status(200).json({ message: "Password has been reset. Please sign in with your new password." });
+});
+
+// Password Policy (the rules Register and the password forms render)
+export const getPasswordPolicy = (req, res) => {
+  res.status(200).json(publicPasswordPolicy());
 };
+
+// Verify Email (consumes the single-use token from the emailed link)
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.query;
+
+  const user = await User.findOneAndUpdate(
+    { emailVerificationTokenHash: hashToken(String(token)), emailVerificationExpires: { $gt: new Date() } },
+    { $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 } },
+    { new: true }
+  );
+  if (!user) {
+    await recordAuthFailure(req, "email_verified", "invalid_token");
+    throw new BadRequestError("Verification link is invalid or has expired", { code: "verification_token_invalid" });
+  }
+
+  // A link sent by PATCH /me confirms the new address and switches to it. If another account
+  // took the address meanwhile, the unique index answers 409 email_taken.
+  const changedEmail = !!user.pendingEmail;
+  if (changedEmail) {
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+  }
+  user.emailVerified = true;
+  await user.save();
+  await recordAuthEvent(req, { type: changedEmail ? "email_changed" : "email_verified", user });
+
+  res.status(200).json({
+    message: changedEmail ? "Email address updated." : "Email verified. You can now sign in.",
+  });
+});
+
+// Resend Verification (generic response so emails can't be enumerated)
+export const resendVerification = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const user = await User.findOne({ email });
+  if (user && !user.emailVerified) {
+    await sendVerificationEmail(user);
+    await recordAuthEvent(req, { type: "verification_resent", user });
+  }
+
+  res.status(200).json({ message: "If that account still needs verification, a new link has been sent." });
+});
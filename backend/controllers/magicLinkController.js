@@ -0,0 +1,81 @@
+import User from "../models/User.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import {
+  MAGIC_LINK_NONCE_COOKIE,
+  magicLinkNonceCookieOptions,
+  sendMagicLinkEmail,
+  verifyMagicLink,
+} from "../utils/magicLink.js";
+import { accountDisabledError, passwordResetRequiredError, signInResponse } from "../utils/session.js";
+import { recordAuthEvent, recordAuthFailure } from "../utils/audit.js";
+import { BadRequestError } from "../utils/errors.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+const invalidLink = () =>
+  new BadRequestError("Sign-in link is invalid or has expired", { code: "magic_link_invalid" });
+
+// Request Magic Link (generic response so emails can't be enumerated)
+export const requestMagicLink = asyncHandler(async (req, res) => {
+  const { email, remember = false } = req.body;
+  // every request gets a nonce cookie, whether or not the account exists
+  const nonce = generateToken();
+  res.cookie(MAGIC_LINK_NONCE_COOKIE, nonce, magicLinkNonceCookieOptions());
+
+  const user = await User.findOne({ email });
+  if (user && !user.disabledAt) {
+    await sendMagicLinkEmail(user, { nonce, remember });
+    await recordAuthEvent(req, { type: "magic_link_requested", user });
+  }
+
+  res.status(200).json({ message: "If an account exists for that email, a sign-in link has been sent." });
+});
+
+// Magic Link Sign-in (exchanges an emailed link for a session - or a 2FA challenge - like loginUser)
+export const verifyMagicLinkLogin = asyncHandler(async (req, res) => {
+  let payload;
+  try {
+    payload = verifyMagicLink(String(req.query.token));
+  } catch {
+    await recordAuthFailure(req, "magic_link_login", "invalid_token");
+    throw invalidLink();
+  }
+
+  // a link opened in another browser (or forwarded to someone else) is refused but stays usable
+  const nonce = req.cookies?.[MAGIC_LINK_NONCE_COOKIE];
+  if (!nonce || hashToken(nonce) !== payload.nonce) {
+    await recordAuthFailure(req, "magic_link_login", "browser_mismatch", { user: payload.id });
+    throw new BadRequestError("Open the sign-in link in the browser where you asked for it", {
+      code: "magic_link_browser_mismatch",
+    });
+  }
+
+  // single use: only the latest link's id is stored, and using it removes it
+  const user = await User.findOneAndUpdate(
+    { _id: payload.id, magicLinkTokenHash: hashToken(payload.jti), magicLinkExpires: { $gt: new Date() } },
+    { $unset: { magicLinkTokenHash: 1, magicLinkExpires: 1 } },
+    { new: true }
+  );
+  if (!user) {
+    await recordAuthFailure(req, "magic_link_login", "invalid_token", { user: payload.id });
+    throw invalidLink();
+  }
+  res.clearCookie(MAGIC_LINK_NONCE_COOKIE, magicLinkNonceCookieOptions());
+
+  if (user.disabledAt) {
+    await recordAuthFailure(req, "magic_link_login", "account_disabled", { user });
+    throw accountDisabledError();
+  }
+  if (user.passwordResetRequired) {
+    await recordAuthFailure(req, "magic_link_login", "password_reset_required", { user });
+    throw passwordResetRequiredError();
+  }
+  // opening the emailed link proves the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    await user.save();
+  }
+
+  const result = await signInResponse(req, res, user, { remember: !!payload.remember });
+  await recordAuthEvent(req, { type: "magic_link_login", user, reason: result.mfaToken ? "mfa_required" : null });
+  res.status(200).json(result);
+});
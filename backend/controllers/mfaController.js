@@ -0,0 +1,194 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import { decrypt, encrypt } from "../utils/encryption.js";
+import { generateTotpSecret, otpauthUri, verifyTotp } from "../utils/totp.js";
+import { hashToken, verifyMfaChallenge } from "../utils/tokens.js";
+import { accountDisabledError, passwordResetRequiredError, startSession } from "../utils/session.js";
+import {
+  LOGIN_LOCKED_MESSAGE,
+  failureDelay,
+  lockedUntil,
+  recordLoginFailure,
+  recordLoginSuccess,
+  sleep,
+} from "../utils/loginThrottle.js";
+import { recordAuthEvent, recordAuthFailure } from "../utils/audit.js";
+import { AuthError, BadRequestError, RateLimitError } from "../utils/errors.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const MFA_SECRET_FIELDS = "+mfa.secret +mfa.pendingSecret +mfa.recoveryCodeHashes +mfa.lastUsedStep";
+
+const issuer = () => process.env.MFA_ISSUER || "MERN Auth";
+
+const loadUserWithSecrets = (id) => User.findById(id).select(MFA_SECRET_FIELDS);
+
+const alreadyEnabled = () =>
+  new BadRequestError("Two-factor authentication is already enabled", { code: "mfa_already_enabled" });
+const notEnabled = () => new BadRequestError("Two-factor authentication is not enabled", { code: "mfa_not_enabled" });
+const invalidCode = () => new BadRequestError("Invalid authentication code", { code: "mfa_invalid" });
+const challengeExpired = () =>
+  new AuthError("Sign-in challenge expired, please sign in again", { code: "mfa_expired" });
+
+// Recovery codes are shown once as "xxxxx-xxxxx"; only hashes of the bare hex are stored.
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, "");
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))) };
+};
+
+// Wrong codes count towards the same per-account lockout as wrong passwords, whether they come from a
+// sign-in or from a signed-in session (which must not be a way to brute-force the second factor).
+const ensureNotLocked = async (req, user, type) => {
+  const lockExpiry = await lockedUntil(user);
+  if (!lockExpiry) return;
+  await recordAuthFailure(req, type, "locked", { user });
+  throw new RateLimitError(LOGIN_LOCKED_MESSAGE, { resetAt: lockExpiry, code: "login_locked" });
+};
+
+const countInvalidCode = async (req, user, type) => {
+  const failures = await recordLoginFailure(user);
+  await recordAuthFailure(req, type, "invalid_code", { user });
+  await sleep(failureDelay(failures));
+};
+
+// Checks a TOTP code (never the same time step twice) or burns a recovery code.
+// Both updates are conditional so concurrent requests can't reuse a code.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, "mfa.recoveryCodeHashes": hash },
+      { $pull: { "mfa.recoveryCodeHashes": hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyTotp(decrypt(user.mfa.secret), code);
+  if (step === null) return false;
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ "mfa.lastUsedStep": null }, { "mfa.lastUsedStep": { $lt: step } }] },
+    { $set: { "mfa.lastUsedStep": step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Setup 2FA (returns the otpauth:// URI and a QR code for it)
+export const setupMfa = asyncHandler(async (req, res) => {
+  const user = await loadUserWithSecrets(req.user._id);
+  if (user.mfa.enabled) throw alreadyEnabled();
+
+  const secret = generateTotpSecret();
+  user.mfa.pendingSecret = encrypt(secret);
+  await user.save();
+
+  const uri = otpauthUri({ secret, account: user.email, issuer: issuer() });
+  res.status(200).json({ secret, otpauthUri: uri, qrCode: await QRCode.toDataURL(uri) });
+});
+
+// Confirm 2FA (first valid code enables it and returns one-time recovery codes)
+export const confirmMfa = asyncHandler(async (req, res) => {
+  const user = await loadUserWithSecrets(req.user._id);
+  if (user.mfa.enabled) throw alreadyEnabled();
+  if (!user.mfa.pendingSecret)
+    throw new BadRequestError("Start two-factor setup first", { code: "mfa_setup_not_started" });
+
+  await ensureNotLocked(req, user, "mfa_enabled");
+  const step = verifyTotp(decrypt(user.mfa.pendingSecret), req.body.code);
+  if (step === null) {
+    await countInvalidCode(req, user, "mfa_enabled");
+    throw invalidCode();
+  }
+  await recordLoginSuccess(user);
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.mfa.secret = user.mfa.pendingSecret;
+  user.mfa.pendingSecret = undefined;
+  user.mfa.enabled = true;
+  user.mfa.enabledAt = new Date();
+  user.mfa.lastUsedStep = step;
+  user.mfa.recoveryCodeHashes = hashes;
+  await user.save();
+  await recordAuthEvent(req, { type: "mfa_enabled", user });
+
+  res.status(200).json({ message: "Two-factor authentication enabled", recoveryCodes: codes });
+});
+
+// Disable 2FA (requires a current code or a recovery code)
+export const disableMfa = asyncHandler(async (req, res) => {
+  const user = await loadUserWithSecrets(req.user._id);
+  if (!user.mfa.enabled) throw notEnabled();
+  await ensureNotLocked(req, user, "mfa_disabled");
+  if (!(await verifySecondFactor(user, req.body))) {
+    await countInvalidCode(req, user, "mfa_disabled");
+    throw invalidCode();
+  }
+  await recordLoginSuccess(user);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { "mfa.enabled": false },
+      $unset: { "mfa.secret": 1, "mfa.enabledAt": 1, "mfa.recoveryCodeHashes": 1, "mfa.lastUsedStep": 1 },
+    }
+  );
+  await recordAuthEvent(req, { type: "mfa_disabled", user });
+  res.status(200).json({ message: "Two-factor authentication disabled" });
+});
+
+// Regenerate Recovery Codes (requires a current TOTP code; old codes stop working)
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await loadUserWithSecrets(req.user._id);
+  if (!user.mfa.enabled) throw notEnabled();
+  await ensureNotLocked(req, user, "recovery_codes_regenerated");
+  if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+    await countInvalidCode(req, user, "recovery_codes_regenerated");
+    throw invalidCode();
+  }
+  await recordLoginSuccess(user);
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { "mfa.recoveryCodeHashes": hashes } });
+  await recordAuthEvent(req, { type: "recovery_codes_regenerated", user });
+  res.status(200).json({ message: "Recovery codes regenerated", recoveryCodes: codes });
+});
+
+// Login 2FA step (exchanges the mfa_required challenge + code for a session)
+export const verifyMfaLogin = asyncHandler(async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  let challenge;
+  try {
+    challenge = verifyMfaChallenge(mfaToken);
+  } catch {
+    throw challengeExpired();
+  }
+
+  const user = await loadUserWithSecrets(challenge.id);
+  if (!user || !user.mfa.enabled) throw challengeExpired();
+
+  await ensureNotLocked(req, user, "login_mfa");
+  if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+    await countInvalidCode(req, user, "login_mfa");
+    throw new AuthError("Invalid authentication code", { code: "mfa_invalid" });
+  }
+  await recordLoginSuccess(user);
+  if (user.disabledAt) {
+    await recordAuthFailure(req, "login_mfa", "account_disabled", { user });
+    throw accountDisabledError();
+  }
+  // an admin may have forced a reset after the password step
+  if (user.passwordResetRequired) {
+    await recordAuthFailure(req, "login_mfa", "password_reset_required", { user });
+    throw passwordResetRequiredError();
+  }
+
+  const tokens = await startSession(req, res, user, { remember: !!challenge.remember });
+  await recordAuthEvent(req, { type: "login_mfa", user, reason: recoveryCode ? "recovery_code" : null });
+  res.status(200).json({ message: "Login successful", ...tokens });
+});
@@ -0,0 +1,205 @@
+import User from "../models/User.js";
+import Credential from "../models/Credential.js";
+import { getOAuthProvider } from "../config/oauthProviders.js";
+import {
+  OAUTH_STATE_COOKIE,
+  authorizationUrl,
+  exchangeCode,
+  fetchJson,
+  oauthStateCookieOptions,
+  pkceChallenge,
+  signOAuthState,
+  verifyOAuthState,
+} from "../utils/oauth.js";
+import { generateToken } from "../utils/tokens.js";
+import {
+  accountDisabledError,
+  passwordResetRequiredError,
+  revokeUserSessions,
+  signInResponse,
+} from "../utils/session.js";
+import { clientUrl } from "../utils/mailer.js";
+import { recordAuthEvent, recordAuthFailure } from "../utils/audit.js";
+import { AppError, AuthError, BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+// API clients (and tests) ask for JSON; browsers are sent back to the frontend.
+const wantsJson = (req) => req.accepts(["html", "json"]) === "json";
+
+// Hand the result to the frontend in the URL fragment so it never reaches server logs.
+const redirectToClient = (res, params) =>
+  res.redirect(`${clientUrl("/oauth/callback")}#${new URLSearchParams(params).toString()}`);
+
+const unknownProvider = () =>
+  new NotFoundError("Unknown or unconfigured OAuth provider", { code: "oauth_provider_unknown" });
+
+const findLinkedUser = (provider, subject) =>
+  User.findOne({ identities: { $elemMatch: { provider, subject } } });
+
+// An unverified account was opened by whoever typed the address in, who need not own it. The provider
+// has just proven who does, so the account becomes theirs: everything the first registrant could have
+// set up to get back in (password, 2FA, passkeys, other identities, sessions, pending links) is dropped.
+const claimUnverifiedAccount = async (user, identity) => {
+  user.set({
+    password: undefined,
+    passwordHistory: [],
+    passwordChangedAt: new Date(),
+    mfa: { enabled: false },
+    identities: [identity],
+    emailVerified: true,
+    pendingEmail: undefined,
+    emailVerificationTokenHash: undefined,
+    emailVerificationExpires: undefined,
+    passwordResetTokenHash: undefined,
+    passwordResetExpires: undefined,
+    magicLinkTokenHash: undefined,
+    magicLinkExpires: undefined,
+  });
+  await Credential.deleteMany({ user: user._id });
+  await revokeUserSessions(user._id, "account_claimed");
+  return user.save();
+};
+
+// Find the user for an external identity, or create a password-less account. An existing account
+// with the same (provider-verified) email is only taken over when its own address was never verified;
+// a verified one has to sign in first and connect the provider from its settings (see startOAuthLink).
+const findOrCreateOAuthUser = async (provider, profile) => {
+  const linked = await findLinkedUser(provider, profile.subject);
+  if (linked) return linked;
+
+  if (!profile.email || !profile.emailVerified)
+    throw new BadRequestError("Your account with this provider has no verified email address", {
+      code: "oauth_email_unverified",
+    });
+
+  const identity = { provider, subject: profile.subject, email: profile.email };
+  const existing = await User.findOne({ email: profile.email });
+  if (existing && !existing.emailVerified) return claimUnverifiedAccount(existing, identity);
+  if (existing)
+    throw new ConflictError(
+      "An account with this email already exists. Sign in to it, then connect this provider in account settings.",
+      { code: "oauth_account_exists" }
+    );
+
+  return User.create({
+    name: profile.name || profile.email,
+    email: profile.email,
+    emailVerified: true,
+    identities: [identity],
+  });
+};
+
+// Connect an identity to the signed-in user's account (the provider round-trip started by startOAuthLink).
+const linkOAuthIdentity = async (userId, provider, profile) => {
+  const user = await User.findById(userId);
+  if (!user || user.disabledAt)
+    throw new AuthError("Sign in again to connect this account", { code: "oauth_link_expired" });
+
+  const linked = await findLinkedUser(provider, profile.subject);
+  if (linked && !linked._id.equals(user._id))
+    throw new ConflictError("This account is already connected to another user", { code: "oauth_identity_taken" });
+  if (!linked) {
+    user.identities.push({ provider, subject: profile.subject, email: profile.email || null });
+    await user.save();
+  }
+  return user;
+};
+
+// Sets the signed state cookie and answers with the provider's consent screen URL; `linkUser` marks a
+// round-trip that connects the identity to that (signed-in) user instead of signing in.
+const beginOAuth = (res, provider, linkUser) => {
+  const state = generateToken(16);
+  const verifier = generateToken(48);
+  const saved = { provider: provider.name, state, verifier, ...(linkUser && { linkUser: String(linkUser) }) };
+  res.cookie(OAUTH_STATE_COOKIE, signOAuthState(saved), oauthStateCookieOptions());
+  return authorizationUrl(provider, { state, challenge: pkceChallenge(verifier) });
+};
+
+// Start OAuth (redirects to the provider's consent screen)
+export const startOAuth = asyncHandler(async (req, res) => {
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) throw unknownProvider();
+  res.redirect(beginOAuth(res, provider));
+});
+
+// Start Connecting a Provider (auth; answers { url } for the browser to open, since a redirect can't carry
+// the bearer token - the signed state cookie remembers who is connecting it)
+export const startOAuthLink = asyncHandler(async (req, res) => {
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) throw unknownProvider();
+  res.status(200).json({ url: beginOAuth(res, provider, req.user._id) });
+});
+
+// OAuth Callback (exchanges the code and starts a session - or a 2FA challenge - like loginUser).
+// Browsers arrive through a redirect, so their errors go back to the frontend in the URL fragment;
+// JSON clients get the usual error envelope.
+export const oauthCallback = async (req, res, next) => {
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) throw unknownProvider();
+
+    const { code, state, error } = req.query;
+    const stateCookie = req.cookies?.[OAUTH_STATE_COOKIE];
+    res.clearCookie(OAUTH_STATE_COOKIE, oauthStateCookieOptions());
+
+    if (error) throw new BadRequestError(`Sign-in was cancelled or denied (${error})`, { code: "oauth_denied" });
+
+    let saved;
+    try {
+      saved = stateCookie ? verifyOAuthState(stateCookie) : null;
+    } catch {
+      saved = null;
+    }
+    if (!saved || saved.provider !== provider.name || !state || saved.state !== state || !code) {
+      await recordAuthFailure(req, "oauth_login", `${provider.name}:invalid_state`);
+      throw new BadRequestError("Invalid or expired OAuth state, please try again", { code: "oauth_state_invalid" });
+    }
+
+    const accessToken = await exchangeCode(provider, { code: String(code), verifier: saved.verifier });
+    const profile = await provider.getProfile(accessToken, fetchJson);
+
+    if (saved.linkUser) {
+      let linkedUser;
+      try {
+        linkedUser = await linkOAuthIdentity(saved.linkUser, provider.name, profile);
+      } catch (linkError) {
+        await recordAuthFailure(req, "oauth_link", `${provider.name}:link_failed`, { email: profile.email });
+        throw linkError;
+      }
+      await recordAuthEvent(req, { type: "oauth_link", user: linkedUser, reason: provider.name });
+      if (wantsJson(req)) return res.status(200).json({ message: "Account connected", user: linkedUser.toProfile() });
+      return redirectToClient(res, { linked: provider.name });
+    }
+
+    let user;
+    try {
+      user = await findOrCreateOAuthUser(provider.name, profile);
+    } catch (linkError) {
+      await recordAuthFailure(req, "oauth_login", `${provider.name}:link_failed`, { email: profile.email });
+      throw linkError;
+    }
+    if (user.disabledAt) {
+      await recordAuthFailure(req, "oauth_login", `${provider.name}:account_disabled`, { user });
+      throw accountDisabledError();
+    }
+    if (user.passwordResetRequired) {
+      await recordAuthFailure(req, "oauth_login", `${provider.name}:password_reset_required`, { user });
+      throw passwordResetRequiredError();
+    }
+
+    // the provider round-trip has no "remember me", so this is a browser-session sign-in
+    const result = await signInResponse(req, res, user);
+    await recordAuthEvent(req, { type: "oauth_login", user, reason: provider.name });
+    if (wantsJson(req)) return res.status(200).json(result);
+    // in cookie mode the session already lives in cookies, so the fragment only says it worked
+    const signedIn = result.token ? { token: result.token } : { signedIn: "1" };
+    redirectToClient(res, result.mfaToken ? { mfaToken: result.mfaToken } : { ...signedIn, expiresIn: result.expiresIn });
+  } catch (error) {
+    if (wantsJson(req)) return next(error);
+    if (!(error instanceof AppError)) console.error(`❌ [${req.id}] OAuth callback failed:`, error);
+    redirectToClient(res, {
+      error: error instanceof AppError ? error.message : "Sign-in failed, please try again",
+      requestId: req.id,
+    });
+  }
+};
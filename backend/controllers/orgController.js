@@ -0,0 +1,89 @@
+import User from "../models/User.js";
+import Organization from "../models/Organization.js";
+import Invitation from "../models/Invitation.js";
+import { consumeInvitation, findPendingInvitation, sendInvitation } from "../utils/invitations.js";
+import { hasPermission, permissionsFor } from "../config/roles.js";
+import { recordAuthEvent } from "../utils/audit.js";
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, ValidationError } from "../utils/errors.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+const INVALID_INVITATION = "Invitation is invalid or has expired";
+
+const noOrganization = () =>
+  new NotFoundError("You don't belong to an organization", { code: "organization_not_found" });
+
+// Current Organization (with its members; those who can invite also see pending invitations)
+export const getMyOrganization = asyncHandler(async (req, res) => {
+  const organization = req.user.organization && (await Organization.findById(req.user.organization));
+  if (!organization) throw noOrganization();
+
+  const members = await User.find({ organization: organization._id, deletedAt: null }).select(
+    "name email organizationRole"
+  );
+  const invitations = hasPermission(permissionsFor(req.user), "org:invite")
+    ? await Invitation.find({ organization: organization._id, acceptedAt: null, expiresAt: { $gt: new Date() } })
+        .select("email expiresAt createdAt")
+        .sort({ createdAt: -1 })
+    : undefined;
+
+  res.status(200).json({ organization, members, invitations });
+});
+
+// Invite Member (requires org:invite; emails a signed, expiring link)
+export const inviteMember = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const organization = req.user.organization && (await Organization.findById(req.user.organization));
+  if (!organization) throw noOrganization();
+
+  if (await User.exists({ email, organization: organization._id }))
+    throw new ValidationError({ email: "That person is already a member" });
+
+  const invitation = await sendInvitation({ organization, email, invitedBy: req.user });
+  res.status(201).json({
+    message: `Invitation sent to ${email}`,
+    invitation: { _id: invitation._id, email: invitation.email, expiresAt: invitation.expiresAt },
+  });
+});
+
+// Invitation Preview (public; lets the sign-up form prefill and lock the email)
+export const getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findPendingInvitation(req.params.token);
+  if (!invitation) throw new NotFoundError(INVALID_INVITATION, { code: "invitation_invalid" });
+
+  res.status(200).json({
+    invitation: {
+      email: invitation.email,
+      organization: { name: invitation.organization.name },
+      expiresAt: invitation.expiresAt,
+    },
+  });
+});
+
+// Accept Invitation (existing accounts; new users accept by registering with inviteToken)
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findPendingInvitation(req.body.token);
+  if (!invitation) throw new BadRequestError(INVALID_INVITATION, { code: "invitation_invalid" });
+  if (invitation.email !== req.user.email)
+    throw new ForbiddenError("This invitation was sent to a different email address", {
+      code: "invitation_email_mismatch",
+    });
+  if (req.user.organization)
+    throw new ConflictError("You already belong to an organization", { code: "organization_member" });
+  if (!(await consumeInvitation(invitation, req.user._id)))
+    throw new BadRequestError(INVALID_INVITATION, { code: "invitation_invalid" });
+
+  // the link was emailed to this address, so it is verified as well
+  await User.updateOne(
+    { _id: req.user._id },
+    {
+      $set: {
+        accountType: "company",
+        organization: invitation.organization._id,
+        organizationRole: "member",
+        emailVerified: true,
+      },
+    }
+  );
+  await recordAuthEvent(req, { type: "invitation_accepted", user: req.user, reason: invitation.organization.name });
+  res.status(200).json({ message: `You joined ${invitation.organization.name}`, organization: invitation.organization });
+});
@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import Credential from "../models/Credential.js";
+import User from "../models/User.js";
+import { hashToken } from "../utils/tokens.js";
+import {
+  authenticationOptions,
+  consumeChallenge,
+  registrationOptions,
+  verifyAuthentication,
+  verifyChallengeToken,
+  verifyRegistration,
+} from "../utils/webauthn.js";
+import {
+  accountDisabledError,
+  passwordResetRequiredError,
+  signInResponse,
+  startSession,
+} from "../utils/session.js";
+import { parseUserAgent } from "../utils/userAgent.js";
+import { recordAuthEvent, recordAuthFailure } from "../utils/audit.js";
+import { AuthError, BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+const CHALLENGE_EXPIRED = "Passkey request expired, please try again";
+
+const replayedResponse = () =>
+  new AuthError("This passkey response was already used", { code: "passkey_invalid" });
+
+const unknownPasskey = () => new AuthError("This passkey is not registered", { code: "passkey_unknown" });
+
+const findOwnCredential = async (req) => {
+  const credential =
+    mongoose.isValidObjectId(req.params.id) &&
+    (await Credential.findOne({ _id: req.params.id, user: req.user._id }));
+  if (!credential) throw new NotFoundError("Passkey not found", { code: "passkey_not_found" });
+  return credential;
+};
+
+// Passkey Registration Options (challenge + parameters for navigator.credentials.create)
+export const getRegistrationOptions = asyncHandler(async (req, res) => {
+  const existing = await Credential.find({ user: req.user._id }).select("credentialId");
+  res.status(200).json(registrationOptions(req.user, existing));
+});
+
+// Register Passkey (verifies the authenticator's attestation response and stores the public key)
+export const registerPasskey = asyncHandler(async (req, res) => {
+  const { challengeToken, name } = req.body;
+  let challenge;
+  try {
+    challenge = verifyChallengeToken(challengeToken, "register");
+  } catch {
+    throw new BadRequestError(CHALLENGE_EXPIRED, { code: "passkey_expired" });
+  }
+  if (challenge.sub !== String(req.user._id)) throw new BadRequestError(CHALLENGE_EXPIRED, { code: "passkey_expired" });
+
+  let verified;
+  try {
+    verified = verifyRegistration(req.body, challenge.challenge);
+  } catch (verifyError) {
+    await recordAuthFailure(req, "passkey_registered", "invalid_attestation", { user: req.user });
+    throw new BadRequestError(verifyError.message, { code: "passkey_invalid" });
+  }
+  if (!(await consumeChallenge(challenge)))
+    throw new BadRequestError("This passkey response was already used", { code: "passkey_invalid" });
+  if (await Credential.exists({ credentialId: verified.credentialId }))
+    throw new ConflictError("This passkey is already registered", { code: "passkey_exists" });
+
+  // default name from the device it was created on, e.g. "Chrome 126 on macOS"
+  const { browser, os } = parseUserAgent(req.get("user-agent"));
+  const credential = await Credential.create({
+    ...verified,
+    user: req.user._id,
+    name: name || `${browser} on ${os}`,
+    lastChallengeHash: hashToken(challenge.challenge),
+  });
+  await recordAuthEvent(req, { type: "passkey_registered", user: req.user });
+
+  res.status(201).json({ message: "Passkey added", passkey: credential.toSummary() });
+});
+
+// List Passkeys (the signed-in user's passkeys, newest first)
+export const listPasskeys = asyncHandler(async (req, res) => {
+  const credentials = await Credential.find({ user: req.user._id }).sort({ createdAt: -1 });
+  res.status(200).json({ passkeys: credentials.map((credential) => credential.toSummary()) });
+});
+
+// Rename Passkey
+export const renamePasskey = asyncHandler(async (req, res) => {
+  const credential = await findOwnCredential(req);
+
+  credential.name = req.body.name;
+  await credential.save();
+  res.status(200).json({ message: "Passkey renamed", passkey: credential.toSummary() });
+});
+
+// Remove Passkey (it can no longer sign in; the authenticator may still list it)
+export const removePasskey = asyncHandler(async (req, res) => {
+  const credential = await findOwnCredential(req);
+
+  await credential.deleteOne();
+  await recordAuthEvent(req, { type: "passkey_removed", user: req.user, reason: credential.name });
+  res.status(200).json({ message: "Passkey removed" });
+});
+
+// Passkey Login Options (challenge for navigator.credentials.get, including conditional UI)
+export const getLoginOptions = (req, res) => {
+  res.status(200).json(authenticationOptions());
+};
+
+// Login with Passkey (verifies the assertion and starts a session like loginUser)
+export const loginWithPasskey = asyncHandler(async (req, res) => {
+  const { challengeToken, remember = false } = req.body;
+  let challenge;
+  try {
+    challenge = verifyChallengeToken(challengeToken, "login");
+  } catch {
+    throw new AuthError(CHALLENGE_EXPIRED, { code: "passkey_expired" });
+  }
+
+  const credential = await Credential.findOne({ credentialId: req.body.id });
+  if (!credential) {
+    await recordAuthFailure(req, "passkey_login", "unknown_credential");
+    throw unknownPasskey();
+  }
+
+  let authData;
+  try {
+    authData = verifyAuthentication(req.body, challenge.challenge, credential);
+  } catch (verifyError) {
+    await recordAuthFailure(req, "passkey_login", "invalid_assertion", { user: credential.user });
+    throw new AuthError(verifyError.message, { code: "passkey_invalid" });
+  }
+
+  // every challenge answers one sign-in, whatever the authenticator's counter says
+  if (!(await consumeChallenge(challenge))) {
+    await recordAuthFailure(req, "passkey_login", "replayed", { user: credential.user });
+    throw replayedResponse();
+  }
+
+  // conditional on the values just checked, so a concurrent assertion with the same counter loses
+  const challengeHash = hashToken(challenge.challenge);
+  const updated = await Credential.updateOne(
+    { _id: credential._id, signCount: credential.signCount, lastChallengeHash: { $ne: challengeHash } },
+    {
+      $set: {
+        signCount: authData.signCount,
+        backedUp: authData.backedUp,
+        lastChallengeHash: challengeHash,
+        lastUsedAt: new Date(),
+      },
+    }
+  );
+  if (updated.modifiedCount !== 1) {
+    await recordAuthFailure(req, "passkey_login", "replayed", { user: credential.user });
+    throw replayedResponse();
+  }
+
+  const user = await User.findById(credential.user);
+  if (!user) throw unknownPasskey();
+  if (user.disabledAt) {
+    await recordAuthFailure(req, "passkey_login", "account_disabled", { user });
+    throw accountDisabledError();
+  }
+  if (user.passwordResetRequired) {
+    await recordAuthFailure(req, "passkey_login", "password_reset_required", { user });
+    throw passwordResetRequiredError();
+  }
+
+  // a PIN or biometric check on the authenticator already is a second factor
+  const result = authData.userVerified
+    ? { message: "Login successful", ...(await startSession(req, res, user, { remember })) }
+    : await signInResponse(req, res, user, { remember });
+  await recordAuthEvent(req, { type: "passkey_login", user, reason: result.mfaToken ? "mfa_required" : null });
+  res.status(200).json(result);
+});
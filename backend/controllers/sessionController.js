@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { revokeUserSessions } from "../utils/session.js";
+import { clearAuthCookies } from "../utils/tokens.js";
+import { recordAuthEvent } from "../utils/audit.js";
+import { NotFoundError } from "../utils/errors.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+const activeSessionsFilter = (userId) => ({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+  $or: [{ idleExpiresAt: null }, { idleExpiresAt: { $gt: new Date() } }],
+});
+
+// List Sessions (every device the user is signed in on; the caller's is marked `current`)
+export const listSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find(activeSessionsFilter(req.user._id)).sort({ lastSeenAt: -1 });
+  res.status(200).json({ sessions: sessions.map((session) => session.toSummary(req.sessionId)) });
+});
+
+// Revoke Session (signs one device out; its access token stops working immediately)
+export const revokeSession = asyncHandler(async (req, res) => {
+  const session =
+    mongoose.isValidObjectId(req.params.id) &&
+    (await Session.findOne({ _id: req.params.id, ...activeSessionsFilter(req.user._id) }));
+  if (!session) throw new NotFoundError("Session not found", { code: "session_not_found" });
+
+  await session.revoke("revoked_by_user");
+  const current = String(session._id) === String(req.sessionId);
+  if (current) clearAuthCookies(res);
+  await recordAuthEvent(req, { type: "session_revoked", user: req.user });
+  res.status(200).json({ message: "Signed out of that device", current });
+});
+
+// Revoke Other Sessions (sign out everywhere else, keeping the caller's session)
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const result = await revokeUserSessions(req.user._id, "revoked_by_user", req.sessionId);
+  const revoked = result.modifiedCount;
+  await recordAuthEvent(req, { type: "sessions_revoked", user: req.user, reason: "others" });
+  res.status(200).json({ message: `Signed out of ${revoked} other session(s)`, revoked });
+});
@@ -0,0 +1,53 @@
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { ACCESS_COOKIE, verifyAccessToken } from "../utils/tokens.js";
+import { recordSessionActivity, sessionIdleError } from "../utils/session.js";
+import { AuthError } from "../utils/errors.js";
+import { asyncHandler } from "./errorHandler.js";
+
+// Every rejection is a 401 AuthError with a specific `code` so clients can
+// branch on it (e.g. refresh on "token_expired") without parsing messages.
+const unauthorized = (code, message) => new AuthError(message, { code });
+
+// Prefer an explicit `Authorization: Bearer <token>` header, then the cookie.
+const extractToken = (req) => {
+  const [scheme, value] = (req.headers.authorization || "").split(" ");
+  if (/^Bearer$/i.test(scheme) && value) return value;
+  return req.cookies?.[ACCESS_COOKIE] || null;
+};
+
+// Require Auth: verifies the access token and loads req.user (without password)
+export const requireAuth = asyncHandler(async (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) throw unauthorized("token_missing", "Authentication required");
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") throw unauthorized("token_expired", "Access token expired");
+    throw unauthorized("token_invalid", "Invalid access token");
+  }
+
+  const user = await User.findById(payload.id);
+  if (!user) throw unauthorized("user_not_found", "User no longer exists");
+  if (user.deletedAt) throw unauthorized("account_deleted", "This account has been deleted");
+  if (user.disabledAt) throw unauthorized("account_disabled", "This account has been disabled");
+  if (user.changedPasswordAfter(payload.iat))
+    throw unauthorized("token_revoked", "Password changed, please sign in again");
+
+  // tokens issued for a session die with it (remote sign-out, logout elsewhere, idle timeout)
+  let session = null;
+  if (payload.sid) {
+    session = await Session.findById(payload.sid).select("remember revokedAt expiresAt idleExpiresAt lastSeenAt");
+    if (session && !session.revokedAt && session.isIdle()) throw sessionIdleError();
+    if (!session?.isActive()) throw unauthorized("token_revoked", "This session has been signed out");
+    await recordSessionActivity(session, req);
+  }
+
+  req.user = user;
+  req.auth = payload;
+  req.sessionId = payload.sid || null;
+  req.authSession = session;
+  next();
+});
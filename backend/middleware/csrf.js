@@ -0,0 +1,27 @@
+import crypto from "crypto";
+import { ACCESS_COOKIE, CSRF_COOKIE, CSRF_HEADER, REFRESH_COOKIE, usesCookieAuth } from "../utils/tokens.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const sameToken = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// CSRF Protection (double submit): in cookie mode every state-changing request
+// that carries session cookies must echo the csrf_token cookie in X-CSRF-Token.
+// Another site can make the browser send the cookies but can't read them to
+// copy the value. Bearer-token requests can't be forged that way and pass.
+export const csrfProtection = (req, res, next) => {
+  if (!usesCookieAuth() || SAFE_METHODS.includes(req.method)) return next();
+  if (/^Bearer /i.test(req.headers.authorization || "")) return next();
+  if (!req.cookies?.[ACCESS_COOKIE] && !req.cookies?.[REFRESH_COOKIE]) return next();
+
+  const cookie = req.cookies?.[CSRF_COOKIE];
+  const header = req.get(CSRF_HEADER);
+  if (!cookie || !header || !sameToken(cookie, header))
+    return next(new ForbiddenError("Invalid or missing CSRF token", { code: "csrf_invalid" }));
+  next();
+};
@@ -0,0 +1,72 @@
+import crypto from "crypto";
+import { AppError, BadRequestError, ConflictError, NotFoundError, ValidationError } from "../utils/errors.js";
+
+// Request ID: a well-formed X-Request-Id from a proxy is kept, otherwise one is
+// generated. It is echoed in the response header and in every error body so a
+// report from a user can be matched with the server log.
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+// Async Handler: forwards a rejected promise to the error middleware, so
+// handlers can simply throw (Express 5 does this too; the wrapper keeps
+// handlers independent of the router they are mounted on).
+export const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+// Unique indexes whose duplicates get a specific answer; any other duplicate is a generic 409.
+const DUPLICATE_KEYS = {
+  email: { code: "email_taken", message: "An account with this email already exists" },
+  domain: { code: "domain_taken", message: "An organization with this domain already exists", field: "companyDomain" },
+  credentialId: { code: "passkey_exists", message: "This passkey is already registered" },
+};
+
+const duplicateKeyError = (error) => {
+  const key = Object.keys(error.keyPattern || error.keyValue || {})[0];
+  const known = DUPLICATE_KEYS[key];
+  if (!known) return new ConflictError("That record already exists", { code: "duplicate_key" });
+  return new ConflictError(known.message, {
+    code: known.code,
+    details: { fields: { [known.field || key]: known.message } },
+  });
+};
+
+// Library errors that are the client's fault, as AppErrors; anything else is a 500.
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+  if (error?.code === 11000) return duplicateKeyError(error);
+  if (error?.name === "CastError") return new BadRequestError(`Invalid ${error.path}`, { code: "invalid_id" });
+  if (error?.name === "ValidationError" && error.errors)
+    return new ValidationError(Object.fromEntries(Object.entries(error.errors).map(([key, e]) => [key, e.message])));
+  if (error?.type === "entity.parse.failed")
+    return new BadRequestError("Request body is not valid JSON", { code: "invalid_json" });
+  if (error?.type === "entity.too.large")
+    return new AppError("Request body is too large", { status: 413, code: "payload_too_large" });
+  return null;
+};
+
+// Not Found: unknown routes get the same envelope as every other error.
+export const notFound = (req, res, next) =>
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`, { code: "route_not_found" }));
+
+// Error Handler (last middleware): one envelope for every failure,
+//   { error: { code, message, requestId, ...details } }
+// Unexpected errors are logged with the request ID and answered without internals.
+// (Express recognizes error middleware by its four parameters.)
+export const errorHandler = (err, req, res, next) => {
+  const error =
+    toAppError(err) || new AppError("Something went wrong, please try again later", { code: "internal_error" });
+  if (error.status >= 500) console.error(`❌ [${req.id}] ${req.method} ${req.originalUrl}:`, err);
+
+  // once a response (e.g. a streamed export) has started, Express's default handler cuts it short
+  if (res.headersSent) return next(err);
+  if (error.headers) res.set(error.headers);
+  res.status(error.status).json({
+    error: { code: error.code, message: error.message, requestId: req.id, ...error.details },
+  });
+};
@@ -0,0 +1,15 @@
+import { getRateLimitStore } from "../utils/rateLimitStore.js";
+import { RateLimitError } from "../utils/errors.js";
+import { asyncHandler } from "./errorHandler.js";
+
+// Fixed-window rate limiter. `key(req)` picks the bucket (defaults to client IP);
+// `windowMs` and `max` may be functions so they can read env at request time.
+// Over the limit it answers 429 rate_limited with Retry-After (see RateLimitError).
+export const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, message, store }) =>
+  asyncHandler(async (req, res, next) => {
+    const resolve = (value) => (typeof value === "function" ? value(req) : value);
+    const bucket = `${name}:${key(req)}`;
+    const { count, resetAt } = await (store || getRateLimitStore()).increment(bucket, resolve(windowMs));
+    if (count > resolve(max)) throw new RateLimitError(message, { resetAt });
+    next();
+  });
@@ -0,0 +1,14 @@
+import { hasPermission, permissionsFor } from "../config/roles.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+// Require Permission: use after requireAuth, e.g. requirePermission("users:read").
+// With several permissions the user needs all of them. Checks run against the
+// freshly loaded req.user, so a revoked role applies before the token expires.
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const granted = permissionsFor(req.user);
+  const missing = permissions.filter((permission) => !hasPermission(granted, permission));
+  if (missing.length)
+    return next(new ForbiddenError("You don't have permission to do that", { details: { missing } }));
+  req.permissions = granted;
+  next();
+};
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Append-only security log: one document per authentication action, kept
+// until `expiresAt` (AUTH_EVENT_RETENTION_DAYS). Written by utils/audit.js.
+const authEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true, index: true, immutable: true },
+    outcome: { type: String, enum: ["success", "failure"], required: true, immutable: true },
+    reason: { type: String, default: null, immutable: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, immutable: true },
+    // the address that was tried, so failures for unknown accounts are visible too
+    email: { type: String, default: null, immutable: true },
+    // who did it when that isn't `user` (an admin acting on the account)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, immutable: true },
+    ip: { type: String, default: null, immutable: true },
+    userAgent: { type: String, default: "", immutable: true },
+    expiresAt: { type: Date, required: true, immutable: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+authEventSchema.index({ user: 1, createdAt: -1 });
+authEventSchema.index({ createdAt: -1 });
+
+// Let MongoDB drop events once the retention period is over.
+authEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Nothing in the app may rewrite or remove history; only the TTL index deletes.
+const rejectWrite = function () {
+  throw new Error("Auth events are append-only");
+};
+authEventSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"], rejectWrite);
+authEventSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], { document: false, query: true }, rejectWrite);
+authEventSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Auth events are append-only");
+});
+
+export default mongoose.model("AuthEvent", authEventSchema);
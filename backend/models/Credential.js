@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// A WebAuthn credential (passkey) registered by a user. Only the public key
+// is stored; `signCount` follows the authenticator's signature counter.
+const credentialSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // base64url, as the browser reports it
+    credentialId: { type: String, required: true, unique: true },
+    // SubjectPublicKeyInfo (DER, base64url) and its COSE algorithm (-7 ES256, -8 EdDSA, -257 RS256)
+    publicKey: { type: String, required: true },
+    algorithm: { type: Number, required: true },
+    signCount: { type: Number, default: 0 },
+    // the last challenge answered, so one assertion can't be replayed
+    lastChallengeHash: { type: String, default: null },
+    name: { type: String, trim: true, default: "Passkey" },
+    aaguid: { type: String, default: null },
+    // synced passkeys (iCloud Keychain, Google Password Manager) are backed up
+    backupEligible: { type: Boolean, default: false },
+    backedUp: { type: Boolean, default: false },
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Shape returned by GET /api/auth/passkeys (never the key material).
+credentialSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    backedUp: this.backedUp,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+  };
+};
+
+export default mongoose.model("Credential", credentialSchema);
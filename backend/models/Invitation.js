@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Pending invitation to join an organization. The emailed link carries a
+// signed token naming this document; accepting it sets `acceptedAt` so the
+// link works once, and MongoDB purges the document after it expires.
+const invitationSchema = new mongoose.Schema(
+  {
+    organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true, index: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    expiresAt: { type: Date, required: true },
+    acceptedAt: { type: Date, default: null },
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// A company account. Created by the owner during company sign-up; teammates
+// join through emailed invitations (see models/Invitation.js).
+const organizationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // optional company domain (e.g. "acme.com"); one organization per domain
+    domain: { type: String, lowercase: true, trim: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  },
+  { timestamps: true }
+);
+
+organizationSchema.index(
+  { domain: 1 },
+  { unique: true, partialFilterExpression: { domain: { $type: "string" } } }
+);
+
+export default mongoose.model("Organization", organizationSchema);
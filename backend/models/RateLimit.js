@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+// Fixed-window hit counter used by the Mongo rate-limit store.
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true },
+});
+
+// Expired windows are removed by MongoDB.
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// One document per sign-in. Every refresh token issued for that sign-in
+// belongs to the same "family": the current one is stored in `tokenHash`
+// and rotated ones are kept in `previousTokenHashes` so reuse can be caught.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    previousTokenHashes: { type: [String], default: [], index: true },
+    // when tokenHash last replaced the newest of previousTokenHashes
+    rotatedAt: { type: Date, default: null },
+    // "Remember me" sessions get the long lifetime and a persistent cookie;
+    // others end with the browser (see sessionLimits in utils/session.js).
+    remember: { type: Boolean, default: false },
+    // absolute limit, never extended
+    expiresAt: { type: Date, required: true },
+    // pushed back by authenticated requests, not by silent refreshes
+    idleExpiresAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+    // Where the sign-in came from, shown in the "where you're signed in" list.
+    userAgent: { type: String, default: "" },
+    browser: { type: String, default: "Unknown browser" },
+    os: { type: String, default: "Unknown OS" },
+    device: { type: String, default: "unknown" },
+    ip: { type: String, default: null },
+    lastSeenAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB purge sessions once their refresh lifetime is over.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isIdle = function () {
+  return !!this.idleExpiresAt && this.idleExpiresAt <= new Date();
+};
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date() && !this.isIdle();
+};
+
+// True for the token this session rotated away from less than `graceMs` ago: a request that raced the
+// rotation (another tab refreshing with the same cookie) presents it, not a thief replaying an old one.
+sessionSchema.methods.justRotatedFrom = function (tokenHash, graceMs) {
+  return (
+    this.isActive() &&
+    this.previousTokenHashes.at(-1) === tokenHash &&
+    !!this.rotatedAt &&
+    Date.now() - this.rotatedAt.getTime() <= graceMs
+  );
+};
+
+// Shape returned by GET /api/auth/sessions (never the token hashes).
+sessionSchema.methods.toSummary = function (currentSessionId) {
+  return {
+    id: this._id,
+    browser: this.browser,
+    os: this.os,
+    device: this.device,
+    ip: this.ip,
+    remember: this.remember,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    current: String(this._id) === String(currentSessionId),
+  };
+};
+
+sessionSchema.methods.revoke = function (reason = "logout") {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+export default mongoose.model("Session", sessionSchema);
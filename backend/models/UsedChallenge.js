@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+// A WebAuthn challenge that has been answered. Challenges are stateless (a signed token), so this is
+// what makes each one single-use; an entry is kept until the challenge token itself has expired.
+const usedChallengeSchema = new mongoose.Schema({
+  hash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+});
+
+// Expired challenges can't be answered anyway, so MongoDB removes them.
+usedChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("UsedChallenge", usedChallengeSchema);
@@ -1,9 +1,149 @@
 import mongoose from "mongoose";
+import { DEFAULT_ROLE, ORGANIZATION_ROLES, ROLES } from "../config/roles.js";
 
-const userSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-});
+// External sign-in (OAuth) identity linked to a user
+const identitySchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: { type: String },
+    linkedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
 
-export default mongoose.model("User", userSchema);
\ No newline at end of file
+// Credentials, one-time token hashes and lockout bookkeeping: never serialized.
+// The secrets among them are also `select: false`, so a query must ask for them.
+export const PRIVATE_FIELDS = [
+  "password",
+  "passwordHistory",
+  "emailVerificationTokenHash",
+  "emailVerificationExpires",
+  "passwordResetTokenHash",
+  "passwordResetExpires",
+  "magicLinkTokenHash",
+  "magicLinkExpires",
+  "failedLoginAttempts",
+  "lastFailedLoginAt",
+  "lockUntil",
+];
+
+// the provider's account id is only needed to match sign-ins
+const publicIdentity = ({ provider, email, linkedAt }) => ({ provider, email, linkedAt });
+
+const stripPrivateFields = (ret) => {
+  for (const field of PRIVATE_FIELDS) delete ret[field];
+  // only whether 2FA is on is public, never its secrets
+  if (ret.mfa) ret.mfa = { enabled: !!ret.mfa.enabled, enabledAt: ret.mfa.enabledAt };
+  if (ret.identities) ret.identities = ret.identities.map(publicIdentity);
+  return ret;
+};
+
+const userSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    // optional for accounts that only sign in through a linked identity; load with .select("+password")
+    password: {
+      type: String,
+      select: false,
+      required: function () {
+        return !this.identities?.length;
+      },
+    },
+    identities: { type: [identitySchema], default: [] },
+    // global roles and extra one-off permissions (see config/roles.js)
+    roles: {
+      type: [String],
+      default: [DEFAULT_ROLE],
+      validate: {
+        validator: (roles) => roles.every((role) => ROLES[role]),
+        message: (props) => `Unknown role in ${props.value}`,
+      },
+    },
+    permissions: { type: [String], default: [] },
+    accountType: { type: String, enum: ["personal", "company"], default: "personal" },
+    // company accounts belong to one organization, either as its owner or as an invited member
+    organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", index: true },
+    organizationRole: { type: String, enum: Object.keys(ORGANIZATION_ROLES) },
+    // TOTP two-factor auth; secrets are AES-GCM encrypted and never selected by default
+    mfa: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodeHashes: { type: [String], select: false },
+      lastUsedStep: { type: Number, select: false },
+    },
+    emailVerified: { type: Boolean, default: false },
+    // new address waiting for confirmation; `email` changes once its link is used
+    pendingEmail: { type: String, lowercase: true, trim: true },
+    // single-use email verification token (only the SHA-256 hash is stored)
+    emailVerificationTokenHash: { type: String, index: true, select: false },
+    emailVerificationExpires: { type: Date },
+    passwordChangedAt: { type: Date },
+    // bcrypt hashes of previous passwords, newest first (see utils/passwordPolicy.js)
+    passwordHistory: { type: [String], select: false },
+    // brute-force protection (see utils/loginThrottle.js)
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date },
+    lockUntil: { type: Date },
+    // single-use password reset token (only the SHA-256 hash is stored)
+    passwordResetTokenHash: { type: String, index: true, select: false },
+    passwordResetExpires: { type: Date },
+    // the pending sign-in link's id (only its SHA-256 hash); one link at a time, see utils/magicLink.js
+    magicLinkTokenHash: { type: String, index: true, select: false },
+    magicLinkExpires: { type: Date },
+    // soft delete: the account is hidden at once and purged after the grace period (utils/accountPurge.js)
+    deletedAt: { type: Date },
+    purgeAt: { type: Date },
+    // set by admins (see controllers/adminController.js)
+    disabledAt: { type: Date },
+    disabledReason: { type: String },
+    passwordResetRequired: { type: Boolean },
+    lastLoginAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    // whatever a query selected, these never reach a response (see PRIVATE_FIELDS)
+    toJSON: { versionKey: false, transform: (doc, ret) => stripPrivateFields(ret) },
+  }
+);
+
+// An external identity can belong to a single user only.
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
+// Accounts due for purging (utils/accountPurge.js); signing in again before purgeAt cancels the deletion
+// (see utils/session.js).
+userSchema.index({ purgeAt: 1 }, { name: "purge_due", partialFilterExpression: { purgeAt: { $type: "date" } } });
+
+// True when the password changed after a token with the given `iat` (seconds) was issued.
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
+// The signed-in user's own profile, as auth responses return it (register, sign-in, /me).
+// An explicit list, so a field added to the schema stays private until it is added here.
+userSchema.methods.toProfile = function () {
+  return {
+    _id: this._id,
+    name: this.name,
+    email: this.email,
+    pendingEmail: this.pendingEmail,
+    emailVerified: this.emailVerified,
+    roles: this.roles,
+    accountType: this.accountType,
+    organization: this.organization,
+    organizationRole: this.organizationRole,
+    mfa: { enabled: !!this.mfa?.enabled },
+    identities: (this.identities || []).map(publicIdentity),
+    createdAt: this.createdAt,
+    lastLoginAt: this.lastLoginAt,
+  };
+};
+
+export default mongoose.model("User", userSchema);
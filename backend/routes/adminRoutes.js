@@ -0,0 +1,42 @@
+import express from "express";
+import {
+  listUsers,
+  getUser,
+  disableUser,
+  enableUser,
+  forcePasswordReset,
+  revokeSessions,
+  deleteUser,
+} from "../controllers/adminController.js";
+import { listAuthEvents, exportAuthEvents } from "../controllers/auditController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { validate } from "../middleware/validate.js";
+import {
+  adminUserListSchema,
+  disableUserSchema,
+  authEventListSchema,
+  authEventExportSchema,
+} from "../validators/authValidators.js";
+
+const router = express.Router();
+
+// Everything here needs a signed-in user; each route names its own permission.
+router.use(requireAuth);
+
+router.get("/users", requirePermission("users:read"), validate(adminUserListSchema, { source: "query" }), listUsers);
+router.get("/users/:id", requirePermission("users:read"), getUser);
+router.post("/users/:id/disable", requirePermission("users:write"), validate(disableUserSchema), disableUser);
+router.post("/users/:id/enable", requirePermission("users:write"), enableUser);
+router.post("/users/:id/force-password-reset", requirePermission("users:write"), forcePasswordReset);
+router.post("/users/:id/revoke-sessions", requirePermission("users:write"), revokeSessions);
+router.delete("/users/:id", requirePermission("users:delete"), deleteUser);
+router.get("/events", requirePermission("audit:read"), validate(authEventListSchema, { source: "query" }), listAuthEvents);
+router.get(
+  "/events/export",
+  requirePermission("audit:read"),
+  validate(authEventExportSchema, { source: "query" }),
+  exportAuthEvents
+);
+
+export default router;
@@ -1,9 +1,227 @@
 import express from "express";
-import { registerUser, loginUser } from "../controllers/authController.js";
+import {
+  registerUser,
+  loginUser,
+  refreshAccessToken,
+  logoutUser,
+  getMe,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getPasswordPolicy,
+  getCsrfToken,
+} from "../controllers/authController.js";
+import { updateMe, changePassword, deleteMe } from "../controllers/accountController.js";
+import { listSessions, revokeSession, revokeOtherSessions } from "../controllers/sessionController.js";
+import { getMyActivity } from "../controllers/auditController.js";
+import { startOAuth, startOAuthLink, oauthCallback } from "../controllers/oauthController.js";
+import { requestMagicLink, verifyMagicLinkLogin } from "../controllers/magicLinkController.js";
+import {
+  getRegistrationOptions,
+  registerPasskey,
+  listPasskeys,
+  renamePasskey,
+  removePasskey,
+  getLoginOptions,
+  loginWithPasskey,
+} from "../controllers/passkeyController.js";
+import {
+  setupMfa,
+  confirmMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  verifyMfaLogin,
+} from "../controllers/mfaController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import {
+  registerSchema,
+  registerCheck,
+  loginSchema,
+  loginMfaSchema,
+  loginMfaCheck,
+  emailSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  magicLinkSchema,
+  magicLinkVerifySchema,
+  passkeyRegisterSchema,
+  passkeyLoginSchema,
+  passkeyRenameSchema,
+  mfaCodeSchema,
+  mfaDisableSchema,
+  mfaDisableCheck,
+  updateMeSchema,
+  updateMeCheck,
+  changePasswordSchema,
+  deleteMeSchema,
+} from "../validators/authValidators.js";
 
 const router = express.Router();
 
-router.post("/register", registerUser);
-router.post("/login", loginUser);
+// Per-IP throttle for credential checks (per-account lockout lives in the controllers).
+const loginLimiter = rateLimit({
+  name: "login-ip",
+  windowMs: () => (Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max: () => Number(process.env.LOGIN_IP_MAX) || 50,
+  message: "Too many sign-in attempts from this network, please try again later",
+});
 
-export default router;
\ No newline at end of file
+// Per-account throttle for routes that check the current password of a signed-in user.
+const passwordCheckLimiter = rateLimit({
+  name: "password-check",
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  key: (req) => String(req.user._id),
+  message: "Too many attempts, please try again later",
+});
+
+// Per-account throttle for routes that check a 2FA code of a signed-in user (wrong codes also count
+// towards the sign-in lockout).
+const mfaCheckLimiter = rateLimit({
+  name: "mfa-check",
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  key: (req) => String(req.user._id),
+  message: "Too many attempts, please try again later",
+});
+
+// Per-address throttle for emailed sign-in links (counted whether or not the account exists).
+const magicLinkLimiter = rateLimit({
+  name: "magic-link-email",
+  windowMs: () => (Number(process.env.MAGIC_LINK_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max: () => Number(process.env.MAGIC_LINK_MAX) || 3,
+  key: (req) => req.body.email,
+  message: "Too many sign-in links requested for this address, please try again later",
+});
+
+// Per-IP throttle for routes that email a link to whatever address they are given (shared between them).
+const emailIpLimiter = rateLimit({
+  name: "email-ip",
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: "Too many emails requested from this network, please try again later",
+});
+
+// Per-address throttle for password reset emails (counted whether or not the account exists).
+const passwordResetLimiter = rateLimit({
+  name: "password-reset-email",
+  windowMs: 15 * 60 * 1000,
+  max: 3,
+  key: (req) => req.body.email,
+  message: "Too many password reset emails requested for this address, please try again later",
+});
+
+// Per-address throttle for verification emails sent on request.
+const verificationEmailLimiter = rateLimit({
+  name: "verification-email",
+  windowMs: 15 * 60 * 1000,
+  max: 3,
+  key: (req) => req.body.email,
+  message: "Too many verification emails requested for this address, please try again later",
+});
+
+router.post("/register", validate(registerSchema, { check: registerCheck }), registerUser);
+router.post("/login", loginLimiter, validate(loginSchema), loginUser);
+router.post("/login/mfa", loginLimiter, validate(loginMfaSchema, { check: loginMfaCheck }), verifyMfaLogin);
+router.post("/magic-link", loginLimiter, validate(magicLinkSchema), magicLinkLimiter, requestMagicLink);
+router.get(
+  "/magic-link/verify",
+  loginLimiter,
+  validate(magicLinkVerifySchema, { source: "query" }),
+  verifyMagicLinkLogin
+);
+router.post("/passkeys/login/options", loginLimiter, getLoginOptions);
+router.post("/passkeys/login", loginLimiter, validate(passkeyLoginSchema), loginWithPasskey);
+router.post("/refresh", refreshAccessToken);
+router.post("/logout", logoutUser);
+router.get("/csrf", getCsrfToken);
+router.get("/me", requireAuth, requirePermission("profile:read"), getMe);
+router.patch(
+  "/me",
+  requireAuth,
+  requirePermission("profile:write"),
+  validate(updateMeSchema, { check: updateMeCheck }),
+  updateMe
+);
+router.delete(
+  "/me",
+  requireAuth,
+  requirePermission("profile:write"),
+  passwordCheckLimiter,
+  validate(deleteMeSchema),
+  deleteMe
+);
+router.post(
+  "/change-password",
+  requireAuth,
+  requirePermission("profile:write"),
+  passwordCheckLimiter,
+  validate(changePasswordSchema),
+  changePassword
+);
+router.get("/sessions", requireAuth, requirePermission("profile:read"), listSessions);
+router.delete("/sessions", requireAuth, requirePermission("profile:write"), revokeOtherSessions);
+router.delete("/sessions/:id", requireAuth, requirePermission("profile:write"), revokeSession);
+router.get("/passkeys", requireAuth, requirePermission("profile:read"), listPasskeys);
+router.post("/passkeys/register/options", requireAuth, requirePermission("profile:write"), getRegistrationOptions);
+router.post(
+  "/passkeys",
+  requireAuth,
+  requirePermission("profile:write"),
+  validate(passkeyRegisterSchema),
+  registerPasskey
+);
+router.patch(
+  "/passkeys/:id",
+  requireAuth,
+  requirePermission("profile:write"),
+  validate(passkeyRenameSchema),
+  renamePasskey
+);
+router.delete("/passkeys/:id", requireAuth, requirePermission("profile:write"), removePasskey);
+router.get("/activity", requireAuth, requirePermission("profile:read"), getMyActivity);
+router.post("/mfa/setup", requireAuth, requirePermission("profile:write"), setupMfa);
+router.post(
+  "/mfa/confirm",
+  requireAuth,
+  requirePermission("profile:write"),
+  mfaCheckLimiter,
+  validate(mfaCodeSchema),
+  confirmMfa
+);
+router.post(
+  "/mfa/disable",
+  requireAuth,
+  requirePermission("profile:write"),
+  mfaCheckLimiter,
+  validate(mfaDisableSchema, { check: mfaDisableCheck }),
+  disableMfa
+);
+router.post(
+  "/mfa/recovery-codes",
+  requireAuth,
+  requirePermission("profile:write"),
+  mfaCheckLimiter,
+  validate(mfaCodeSchema),
+  regenerateRecoveryCodes
+);
+router.post("/forgot-password", emailIpLimiter, validate(emailSchema), passwordResetLimiter, forgotPassword);
+router.post("/reset-password", validate(resetPasswordSchema), resetPassword);
+router.get("/password-policy", getPasswordPolicy);
+router.get("/verify-email", validate(verifyEmailSchema, { source: "query" }), verifyEmail);
+router.post(
+  "/resend-verification",
+  emailIpLimiter,
+  validate(emailSchema),
+  verificationEmailLimiter,
+  resendVerification
+);
+router.get("/oauth/:provider", startOAuth);
+router.get("/oauth/:provider/callback", oauthCallback);
+router.post("/oauth/:provider/link", requireAuth, requirePermission("profile:write"), startOAuthLink);
+
+export default router;
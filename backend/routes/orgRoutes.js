@@ -0,0 +1,31 @@
+import express from "express";
+import { getMyOrganization, inviteMember, getInvitation, acceptInvitation } from "../controllers/orgController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { inviteSchema, acceptInvitationSchema } from "../validators/authValidators.js";
+
+const router = express.Router();
+
+// Every invitation sends an email, so cap how many one user can send.
+const inviteLimiter = rateLimit({
+  name: "org-invite",
+  windowMs: 60 * 60 * 1000,
+  max: () => Number(process.env.ORG_INVITES_PER_HOUR) || 20,
+  key: (req) => String(req.user._id),
+  message: "Too many invitations sent, please try again later",
+});
+
+router.get("/current", requireAuth, requirePermission("org:read"), getMyOrganization);
+router.post("/invites", requireAuth, requirePermission("org:invite"), inviteLimiter, validate(inviteSchema), inviteMember);
+router.get("/invites/:token", getInvitation);
+router.post(
+  "/invites/accept",
+  requireAuth,
+  requirePermission("profile:write"),
+  validate(acceptInvitationSchema),
+  acceptInvitation
+);
+
+export default router;
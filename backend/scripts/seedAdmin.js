@@ -0,0 +1,54 @@
+// Create the first admin, or promote an existing account to admin.
+//
+//   ADMIN_EMAIL=you@example.com ADMIN_PASSWORD='...' npm run seed:admin
+//   npm run seed:admin -- --email you@example.com --name "Site Admin"
+//
+// The password is only read from ADMIN_PASSWORD (never argv, so it stays out
+// of shell history and process lists) and is only needed for a new account.
+// Running the script again for the same email is a no-op.
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+import { checkPassword, setUserPassword } from "../utils/passwordPolicy.js";
+
+dotenv.config();
+
+const argValue = (flag) => {
+  const index = process.argv.indexOf(flag);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const seedAdmin = async () => {
+  const email = (argValue("--email") || process.env.ADMIN_EMAIL || "").trim().toLowerCase();
+  const name = argValue("--name") || process.env.ADMIN_NAME || "Administrator";
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email) throw new Error("Set ADMIN_EMAIL or pass --email");
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (existing.roles.includes("admin")) return `${email} is already an admin`;
+    existing.roles.addToSet("admin");
+    await existing.save();
+    return `Promoted ${email} to admin`;
+  }
+
+  if (!password) throw new Error("Set ADMIN_PASSWORD to create a new admin account");
+  const problem = checkPassword(password, { name, email });
+  if (problem) throw new Error(problem);
+
+  const admin = new User({ name, email, roles: ["user", "admin"], emailVerified: true });
+  await setUserPassword(admin, password);
+  await admin.save();
+  return `Created admin ${email}`;
+};
+
+seedAdmin()
+  .then((message) => console.log(`✅ ${message}`))
+  .catch((error) => {
+    console.error("❌ Seeding failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,22 +1,15 @@
-import express from "express";
-import cors from "cors";
 import dotenv from "dotenv";
 import connectDB from "./config/db.js";
-import authRoutes from "./routes/authRoutes.js";
+import { createApp } from "./app.js";
+import { startAccountPurge } from "./utils/accountPurge.js";
 
 dotenv.config();
-const app = express();
-
-// Middlewares
-app.use(cors());
-app.use(express.json());
-
-// Routes
-app.use("/api/auth", authRoutes);
+const app = createApp();
 
 // Database + Server
 const PORT = process.env.PORT || 5000;
 connectDB();
+startAccountPurge();
 
 app.listen(PORT, () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
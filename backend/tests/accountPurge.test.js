@@ -0,0 +1,80 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import Credential from "../models/Credential.js";
+import Invitation from "../models/Invitation.js";
+import Organization from "../models/Organization.js";
+import { purgeDeletedAccounts } from "../utils/accountPurge.js";
+import { clearTestDatabase, connectTestDatabase, disconnectTestDatabase } from "./helpers/database.js";
+import { createUser } from "./factories/userFactory.js";
+
+before(async () => {
+  await connectTestDatabase();
+});
+
+afterEach(async () => {
+  await clearTestDatabase();
+});
+
+after(async () => {
+  await disconnectTestDatabase();
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A deleted company owner (due for purging in `purgeInDays`; negative when overdue) with a teammate,
+// a pending invitation, a session and a passkey.
+const createDeletedOwner = async (purgeInDays) => {
+  const { user: owner } = await createUser({
+    accountType: "company",
+    deletedAt: new Date(),
+    purgeAt: new Date(Date.now() + purgeInDays * DAY_MS),
+  });
+  const organization = await Organization.create({ name: "Acme", domain: "acme.example", owner: owner._id });
+  owner.set({ organization: organization._id, organizationRole: "owner" });
+  await owner.save();
+  const { user: member } = await createUser({
+    accountType: "company",
+    organization: organization._id,
+    organizationRole: "member",
+  });
+
+  await Invitation.create({
+    organization: organization._id,
+    email: "invitee@example.com",
+    invitedBy: owner._id,
+    expiresAt: new Date(Date.now() + DAY_MS),
+  });
+  await Session.create({ user: owner._id, tokenHash: "session-hash", expiresAt: new Date(Date.now() + DAY_MS) });
+  await Credential.create({ user: owner._id, credentialId: "cred-1", publicKey: "key", algorithm: -7 });
+  return { owner, member, organization };
+};
+
+describe("purgeDeletedAccounts", () => {
+  it("deletes an account past its grace period together with its data", async () => {
+    const { owner, member, organization } = await createDeletedOwner(-1);
+
+    assert.equal(await purgeDeletedAccounts(), 1);
+
+    assert.equal(await User.exists({ _id: owner._id }), null);
+    assert.equal(await Session.countDocuments({ user: owner._id }), 0);
+    assert.equal(await Credential.countDocuments({ user: owner._id }), 0);
+    assert.equal(await Invitation.countDocuments({ organization: organization._id }), 0);
+    assert.equal(await Organization.exists({ _id: organization._id }), null);
+
+    const teammate = await User.findById(member._id);
+    assert.equal(teammate.organization, undefined);
+    assert.equal(teammate.accountType, "personal");
+  });
+
+  it("keeps accounts still within their grace period", async () => {
+    const { owner, organization } = await createDeletedOwner(1);
+
+    assert.equal(await purgeDeletedAccounts(), 0);
+
+    assert.ok(await User.exists({ _id: owner._id }));
+    assert.equal(await Session.countDocuments({ user: owner._id }), 1);
+    assert.ok(await Organization.exists({ _id: organization._id }));
+  });
+});
@@ -0,0 +1,185 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import { clearTestDatabase, connectTestDatabase, disconnectTestDatabase } from "./helpers/database.js";
+import { clearOutbox, cookieHeader, outbox, startTestServer } from "./helpers/testServer.js";
+import { DEFAULT_PASSWORD, createUser, registrationFields } from "./factories/userFactory.js";
+
+let api;
+
+before(async () => {
+  await connectTestDatabase();
+  api = await startTestServer();
+});
+
+afterEach(async () => {
+  await clearTestDatabase();
+  clearOutbox();
+});
+
+after(async () => {
+  await api?.close();
+  await disconnectTestDatabase();
+});
+
+const signIn = (email, password = DEFAULT_PASSWORD) => api.post("/api/auth/login", { email, password });
+
+describe("POST /api/auth/register", () => {
+  it("creates the account and answers with its public profile", async () => {
+    const fields = registrationFields();
+    const res = await api.post("/api/auth/register", fields);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.email, fields.email);
+    assert.equal(res.body.user.emailVerified, false);
+    assert.equal(res.body.user.password, undefined);
+
+    const stored = await User.findOne({ email: fields.email }).select("+password");
+    assert.ok(stored, "user was not saved");
+    assert.notEqual(stored.password, fields.password);
+    assert.ok(stored.password.startsWith("$2"), "password is not a bcrypt hash");
+    assert.deepEqual(outbox.map((mail) => mail.to), [fields.email]);
+  });
+
+  it("rejects an email address that is already registered", async () => {
+    const { user } = await createUser();
+    const res = await api.post("/api/auth/register", registrationFields({ email: user.email.toUpperCase() }));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error.code, "email_taken");
+    assert.ok(res.body.error.fields.email);
+    assert.equal(await User.countDocuments({ email: user.email }), 1);
+  });
+
+  it("rejects a password the policy doesn't allow", async () => {
+    const res = await api.post("/api/auth/register", registrationFields({ password: "short" }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "validation_failed");
+    assert.ok(res.body.error.fields.password);
+    assert.equal(await User.countDocuments(), 0);
+  });
+});
+
+describe("POST /api/auth/login", () => {
+  it("signs in with the right password", async () => {
+    const { user, password } = await createUser();
+    const res = await signIn(user.email, password);
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.equal(res.body.user.email, user.email);
+    assert.equal(res.body.user.password, undefined);
+    assert.equal(res.body.session.remember, false);
+  });
+
+  it("rejects a wrong password", async () => {
+    const { user } = await createUser();
+    const res = await signIn(user.email, "Wrong-password-1");
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, "invalid_credentials");
+    assert.equal(res.body.token, undefined);
+  });
+
+  it("answers an unknown email exactly like a wrong password", async () => {
+    const { user } = await createUser();
+    const wrongPassword = await signIn(user.email, "Wrong-password-1");
+    const unknownEmail = await signIn("nobody@example.com");
+
+    assert.equal(unknownEmail.status, 401);
+    assert.equal(unknownEmail.body.error.code, wrongPassword.body.error.code);
+    assert.equal(unknownEmail.body.error.message, wrongPassword.body.error.message);
+  });
+});
+
+describe("access tokens", () => {
+  it("are signed for the user and accepted by GET /api/auth/me", async () => {
+    const { user } = await createUser();
+    const { body } = await signIn(user.email);
+
+    const payload = jwt.verify(body.token, process.env.JWT_SECRET);
+    assert.equal(payload.id, String(user._id));
+    assert.equal(payload.type, "access");
+
+    const me = await api.get("/api/auth/me", { token: body.token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user._id, String(user._id));
+  });
+
+  it("are required", async () => {
+    const res = await api.get("/api/auth/me");
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, "token_missing");
+  });
+
+  it("are rejected when tampered with or signed with another secret", async () => {
+    const { user } = await createUser();
+    const { body } = await signIn(user.email);
+    const [header, payload, signature] = body.token.split(".");
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    const elevated = Buffer.from(JSON.stringify({ ...claims, roles: ["admin"] })).toString("base64url");
+    const tampered = [header, elevated, signature];
+    const forged = jwt.sign({ id: user._id, type: "access" }, "another-secret");
+
+    for (const token of [tampered.join("."), forged]) {
+      const res = await api.get("/api/auth/me", { token });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error.code, "token_invalid");
+    }
+  });
+
+  it("are rejected once expired", async () => {
+    const { user } = await createUser();
+    const exp = Math.floor(Date.now() / 1000) - 60;
+    const expired = jwt.sign({ id: user._id, type: "access", exp }, process.env.JWT_SECRET);
+
+    const res = await api.get("/api/auth/me", { token: expired });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, "token_expired");
+  });
+
+  it("stop working when their session is logged out", async () => {
+    const { user } = await createUser();
+    const login = await signIn(user.email);
+    await api.post("/api/auth/logout", undefined, { headers: { Cookie: cookieHeader(login) } });
+
+    const res = await api.get("/api/auth/me", { token: login.body.token });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, "token_revoked");
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  const refresh = (login) => api.post("/api/auth/refresh", undefined, { headers: { Cookie: cookieHeader(login) } });
+
+  it("lets a refresh that raced another one with the same cookie through", async () => {
+    const { user } = await createUser();
+    const login = await signIn(user.email);
+    const [first, second] = await Promise.all([refresh(login), refresh(login)]);
+
+    assert.deepEqual([first.status, second.status], [200, 200]);
+    const me = await api.get("/api/auth/me", { token: second.body.token });
+    assert.equal(me.status, 200);
+  });
+
+  it("revokes the session when a rotated refresh token is replayed later", async () => {
+    const grace = process.env.REFRESH_REUSE_GRACE_SECONDS;
+    process.env.REFRESH_REUSE_GRACE_SECONDS = "0";
+    try {
+      const { user } = await createUser();
+      const login = await signIn(user.email);
+      const rotated = await refresh(login);
+      const replayed = await refresh(login);
+
+      assert.equal(replayed.status, 401);
+      assert.equal(replayed.body.error.code, "refresh_token_reused");
+      const me = await api.get("/api/auth/me", { token: rotated.body.token });
+      assert.equal(me.body.error.code, "token_revoked");
+    } finally {
+      if (grace === undefined) delete process.env.REFRESH_REUSE_GRACE_SECONDS;
+      else process.env.REFRESH_REUSE_GRACE_SECONDS = grace;
+    }
+  });
+});
@@ -0,0 +1,29 @@
+import User from "../../models/User.js";
+import { setUserPassword } from "../../utils/passwordPolicy.js";
+
+// Meets the default password policy (length, lower/upper/digit, not a common password).
+export const DEFAULT_PASSWORD = "Correct-horse-battery-9";
+
+let sequence = 0;
+
+// Sign-up fields for POST /api/auth/register; every call gets a new email address.
+export const registrationFields = (overrides = {}) => {
+  sequence += 1;
+  return {
+    name: `Test User ${sequence}`,
+    email: `user${sequence}@example.com`,
+    password: DEFAULT_PASSWORD,
+    ...overrides,
+  };
+};
+
+// A saved, verified user that can sign in with `password` (DEFAULT_PASSWORD unless given). Any other
+// User field can be overridden, e.g. createUser({ roles: ["admin"] }) or createUser({ emailVerified: false }).
+// Resolves with { user, password }.
+export const createUser = async ({ password = DEFAULT_PASSWORD, ...overrides } = {}) => {
+  const { name, email } = registrationFields();
+  const user = new User({ name, email, emailVerified: true, ...overrides });
+  await setUserPassword(user, password);
+  await user.save();
+  return { user, password };
+};
@@ -0,0 +1,108 @@
+import crypto from "crypto";
+
+// A software WebAuthn authenticator (ES256, "none" attestation) for the passkey tests. It answers the
+// options our routes return the way navigator.credentials.create()/get() would, already flattened to
+// the request bodies the routes expect:
+//   const authenticator = createAuthenticator();
+//   const attestation = authenticator.register(options.publicKey);  // { id, clientDataJSON, attestationObject }
+//   const assertion = authenticator.assert(options.publicKey);      // { id, clientDataJSON, authenticatorData, ... }
+
+const ORIGIN = "http://localhost:5173";
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+// CBOR head: major type plus a length (or the integer itself).
+const cborHead = (major, value) => {
+  if (value < 24) return Buffer.from([(major << 5) | value]);
+  if (value < 0x100) return Buffer.from([(major << 5) | 24, value]);
+  const head = Buffer.alloc(3);
+  head[0] = (major << 5) | 25;
+  head.writeUInt16BE(value, 1);
+  return head;
+};
+
+// Just what attestation objects and COSE keys need: small integers, byte/text strings and maps.
+const encodeCbor = (value) => {
+  if (Number.isInteger(value)) return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  if (Buffer.isBuffer(value)) return Buffer.concat([cborHead(2, value.length), value]);
+  if (typeof value === "string") {
+    const bytes = Buffer.from(value, "utf8");
+    return Buffer.concat([cborHead(3, bytes.length), bytes]);
+  }
+  const entries = value instanceof Map ? [...value] : Object.entries(value);
+  return Buffer.concat([
+    cborHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]),
+  ]);
+};
+
+const clientData = (type, challenge, origin) =>
+  Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+// `synced` makes it behave like a synced passkey: backed up, and a signature counter that stays at 0.
+export const createAuthenticator = ({ synced = false } = {}) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const credentialId = crypto.randomBytes(16);
+  const id = credentialId.toString("base64url");
+  let signCount = 0;
+  let userHandle;
+
+  const authenticatorData = ({ rpId, count, userVerified, attested }) => {
+    let flags = FLAG_USER_PRESENT | (synced ? FLAG_BACKUP_ELIGIBLE | FLAG_BACKED_UP : 0);
+    if (userVerified) flags |= FLAG_USER_VERIFIED;
+    if (attested) flags |= FLAG_ATTESTED_CREDENTIAL;
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(count);
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), counter, attested || Buffer.alloc(0)]);
+  };
+
+  return {
+    id,
+
+    // Answers registration options (the `publicKey` of /passkeys/register/options).
+    register(options, { origin = ORIGIN } = {}) {
+      userHandle = options.user.id;
+      const { x, y } = publicKey.export({ format: "jwk" });
+      const coseKey = new Map([
+        [1, 2], // kty: EC2
+        [3, -7], // alg: ES256
+        [-1, 1], // crv: P-256
+        [-2, Buffer.from(x, "base64url")],
+        [-3, Buffer.from(y, "base64url")],
+      ]);
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const attested = Buffer.concat([Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey)]);
+      const authData = authenticatorData({ rpId: options.rp.id, count: signCount, userVerified: true, attested });
+
+      return {
+        id,
+        clientDataJSON: clientData("webauthn.create", options.challenge, origin).toString("base64url"),
+        attestationObject: encodeCbor({ fmt: "none", attStmt: {}, authData }).toString("base64url"),
+      };
+    },
+
+    // Answers sign-in options (the `publicKey` of /passkeys/login/options). The counter moves forward on
+    // every call unless the passkey is synced; `signCount` sends a chosen value instead.
+    assert(options, { origin = ORIGIN, signCount: count, userVerified = true } = {}) {
+      if (count === undefined) count = synced ? 0 : (signCount += 1);
+      const data = clientData("webauthn.get", options.challenge, origin);
+      const authData = authenticatorData({ rpId: options.rpId, count, userVerified });
+      const signature = crypto.sign("sha256", Buffer.concat([authData, sha256(data)]), privateKey);
+
+      return {
+        id,
+        clientDataJSON: data.toString("base64url"),
+        authenticatorData: authData.toString("base64url"),
+        signature: signature.toString("base64url"),
+        userHandle,
+      };
+    },
+  };
+};
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// A throwaway MongoDB per test file: connect in before(), clear between tests, stop in after().
+let server;
+
+// A devDependency, so an install without dev dependencies doesn't have it; say so instead of a resolution error.
+const loadMemoryServer = async () => {
+  try {
+    return (await import("mongodb-memory-server")).MongoMemoryServer;
+  } catch (error) {
+    if (error.code !== "ERR_MODULE_NOT_FOUND") throw error;
+    throw new Error(
+      "The integration tests need mongodb-memory-server: run `npm install` (with dev dependencies) in backend/",
+      { cause: error }
+    );
+  }
+};
+
+export const connectTestDatabase = async () => {
+  const MongoMemoryServer = await loadMemoryServer();
+  try {
+    server = await MongoMemoryServer.create();
+  } catch (error) {
+    throw new Error(
+      "Could not start the in-memory MongoDB. mongodb-memory-server downloads a mongod binary on first use; " +
+        "without network access, set MONGOMS_SYSTEM_BINARY to a local mongod instead " +
+        `(e.g. MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test). Cause: ${error.message}`,
+      { cause: error }
+    );
+  }
+  await mongoose.connect(server.getUri());
+  // unique indexes (e.g. User.email) must exist before the tests rely on them
+  await Promise.all(Object.values(mongoose.models).map((model) => model.syncIndexes()));
+};
+
+export const clearTestDatabase = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+export const disconnectTestDatabase = async () => {
+  await mongoose.disconnect();
+  await server?.stop();
+  server = undefined;
+};
@@ -0,0 +1,60 @@
+import { createApp } from "../../app.js";
+import { registerMailTransport } from "../../utils/mailer.js";
+
+// Settings every integration test relies on; a test file may override them before startTestServer().
+process.env.JWT_SECRET ||= "test-secret";
+process.env.MAIL_TRANSPORT = "test";
+
+// Emails "sent" by the app, newest last; clearOutbox() between tests.
+export const outbox = [];
+registerMailTransport("test", async (message) => {
+  outbox.push(message);
+});
+
+export const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+// The cookies a response set, as a Cookie header for the next request (e.g. the refresh cookie for logout).
+export const cookieHeader = (res) =>
+  res.headers
+    .getSetCookie()
+    .map((cookie) => cookie.split(";")[0])
+    .join("; ");
+
+// Mounts the app on a free local port and returns a small JSON client for it:
+//   const api = await startTestServer();
+//   const res = await api.post("/api/auth/login", { email, password });   // -> { status, headers, body }
+//   await api.get("/api/auth/me", { token: res.body.token });
+//   await api.close();
+export const startTestServer = async () => {
+  const server = await new Promise((resolve, reject) => {
+    const listening = createApp().listen(0, "127.0.0.1", () => resolve(listening));
+    listening.on("error", reject);
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...headers,
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  return {
+    baseUrl,
+    request,
+    get: (path, options) => request("GET", path, options),
+    post: (path, body, options) => request("POST", path, { ...options, body }),
+    patch: (path, body, options) => request("PATCH", path, { ...options, body }),
+    delete: (path, body, options) => request("DELETE", path, { ...options, body }),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
@@ -0,0 +1,84 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import { encrypt } from "../utils/encryption.js";
+import { generateTotpSecret, totpCode, verifyTotp } from "../utils/totp.js";
+import { clearTestDatabase, connectTestDatabase, disconnectTestDatabase } from "./helpers/database.js";
+import { clearOutbox, startTestServer } from "./helpers/testServer.js";
+import { DEFAULT_PASSWORD, createUser } from "./factories/userFactory.js";
+
+// no progressive delay between the failures below
+process.env.LOGIN_DELAY_BASE_MS = "0";
+const MAX_ATTEMPTS = 5;
+
+let api;
+
+before(async () => {
+  await connectTestDatabase();
+  api = await startTestServer();
+});
+
+afterEach(async () => {
+  await clearTestDatabase();
+  clearOutbox();
+});
+
+after(async () => {
+  await api?.close();
+  await disconnectTestDatabase();
+});
+
+// A user with two-factor auth on; `secret` computes its codes.
+const createMfaUser = async () => {
+  const secret = generateTotpSecret();
+  const { user } = await createUser({ mfa: { enabled: true, enabledAt: new Date(), secret: encrypt(secret) } });
+  return { user, secret };
+};
+
+// A six-digit code the authenticator would not show right now (nor one step either side).
+const wrongCode = (secret) => {
+  for (let n = 0; ; n++) {
+    const code = String(n).padStart(6, "0");
+    if (verifyTotp(secret, code) === null) return code;
+  }
+};
+
+const passwordStep = async (email) => {
+  const res = await api.post("/api/auth/login", { email, password: DEFAULT_PASSWORD });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.code, "mfa_required");
+  return res.body.mfaToken;
+};
+
+describe("POST /api/auth/login/mfa", () => {
+  it("locks the account when wrong codes keep following a correct password", async () => {
+    const { user, secret } = await createMfaUser();
+
+    // a correct password in between must not wipe the wrong codes counted so far
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const mfaToken = await passwordStep(user.email);
+      const res = await api.post("/api/auth/login/mfa", { mfaToken, code: wrongCode(secret) });
+      assert.equal(res.status, 401, `attempt ${attempt}`);
+      assert.equal(res.body.error.code, "mfa_invalid");
+    }
+
+    const locked = await api.post("/api/auth/login", { email: user.email, password: DEFAULT_PASSWORD });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.error.code, "login_locked");
+    assert.ok((await User.findById(user._id)).lockUntil > new Date());
+  });
+
+  it("resets the failures once the code completes the sign-in", async () => {
+    const { user, secret } = await createMfaUser();
+
+    const first = await passwordStep(user.email);
+    await api.post("/api/auth/login/mfa", { mfaToken: first, code: wrongCode(secret) });
+    assert.equal((await User.findById(user._id)).failedLoginAttempts, 1);
+
+    const second = await passwordStep(user.email);
+    const res = await api.post("/api/auth/login/mfa", { mfaToken: second, code: totpCode(secret) });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.equal((await User.findById(user._id)).failedLoginAttempts, 0);
+  });
+});
@@ -0,0 +1,141 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Credential from "../models/Credential.js";
+import { clearTestDatabase, connectTestDatabase, disconnectTestDatabase } from "./helpers/database.js";
+import { clearOutbox, startTestServer } from "./helpers/testServer.js";
+import { createAuthenticator } from "./helpers/authenticator.js";
+import { DEFAULT_PASSWORD, createUser } from "./factories/userFactory.js";
+
+// the origin and RP ID the software authenticator answers for
+process.env.CLIENT_URL = "http://localhost:5173";
+delete process.env.WEBAUTHN_ORIGINS;
+delete process.env.WEBAUTHN_RP_ID;
+
+let api;
+
+before(async () => {
+  await connectTestDatabase();
+  api = await startTestServer();
+});
+
+afterEach(async () => {
+  await clearTestDatabase();
+  clearOutbox();
+});
+
+after(async () => {
+  await api?.close();
+  await disconnectTestDatabase();
+});
+
+// A user signed in with their password; `token` authorizes adding a passkey.
+const signIn = async () => {
+  const { user } = await createUser();
+  const res = await api.post("/api/auth/login", { email: user.email, password: DEFAULT_PASSWORD });
+  assert.equal(res.status, 200);
+  return { user, token: res.body.token };
+};
+
+const registerPasskey = async (token, authenticator, answer) => {
+  const options = await api.post("/api/auth/passkeys/register/options", undefined, { token });
+  assert.equal(options.status, 200);
+  const attestation = authenticator.register(options.body.publicKey, answer);
+  return api.post("/api/auth/passkeys", { challengeToken: options.body.challengeToken, ...attestation }, { token });
+};
+
+// A user with one passkey, held by `authenticator`.
+const createPasskeyUser = async (authenticatorOptions) => {
+  const { user, token } = await signIn();
+  const authenticator = createAuthenticator(authenticatorOptions);
+  const res = await registerPasskey(token, authenticator);
+  assert.equal(res.status, 201);
+  return { user, authenticator };
+};
+
+// The sign-in request body for a fresh challenge; `answer` is passed to authenticator.assert().
+const loginBody = async (authenticator, answer) => {
+  const options = await api.post("/api/auth/passkeys/login/options");
+  assert.equal(options.status, 200);
+  return { challengeToken: options.body.challengeToken, ...authenticator.assert(options.body.publicKey, answer) };
+};
+
+const passkeyLogin = async (authenticator, answer) =>
+  api.post("/api/auth/passkeys/login", await loginBody(authenticator, answer));
+
+describe("POST /api/auth/passkeys", () => {
+  it("registers the authenticator's public key", async () => {
+    const { user, token } = await signIn();
+    const authenticator = createAuthenticator();
+
+    const res = await registerPasskey(token, authenticator);
+
+    assert.equal(res.status, 201);
+    const credential = await Credential.findOne({ credentialId: authenticator.id });
+    assert.equal(String(credential.user), String(user._id));
+    assert.equal(credential.algorithm, -7);
+    assert.equal(credential.signCount, 0);
+  });
+
+  it("rejects an attestation made for another origin", async () => {
+    const { token } = await signIn();
+    const authenticator = createAuthenticator();
+
+    const res = await registerPasskey(token, authenticator, { origin: "https://evil.example" });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "passkey_invalid");
+    assert.equal(await Credential.countDocuments(), 0);
+  });
+});
+
+describe("POST /api/auth/passkeys/login", () => {
+  it("signs in with a registered passkey", async () => {
+    const { user, authenticator } = await createPasskeyUser();
+
+    const res = await passkeyLogin(authenticator);
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.equal(res.body.user.email, user.email);
+    const credential = await Credential.findOne({ credentialId: authenticator.id });
+    assert.equal(credential.signCount, 1);
+    assert.ok(credential.lastUsedAt);
+  });
+
+  it("rejects a signature counter that went backwards", async () => {
+    const { authenticator } = await createPasskeyUser();
+    assert.equal((await passkeyLogin(authenticator, { signCount: 5 })).status, 200);
+
+    // what a cloned authenticator that fell behind the original would send
+    const res = await passkeyLogin(authenticator, { signCount: 3 });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, "passkey_invalid");
+    assert.equal(res.body.token, undefined);
+    assert.equal((await Credential.findOne({ credentialId: authenticator.id })).signCount, 5);
+  });
+
+  it("rejects an assertion made for another origin", async () => {
+    const { authenticator } = await createPasskeyUser();
+
+    const res = await passkeyLogin(authenticator, { origin: "https://evil.example" });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, "passkey_invalid");
+    assert.equal(res.body.token, undefined);
+  });
+
+  it("refuses a replayed response, even from a synced passkey whose counter stays at 0", async () => {
+    const { authenticator } = await createPasskeyUser({ synced: true });
+    const body = await loginBody(authenticator);
+
+    const first = await api.post("/api/auth/passkeys/login", body);
+    assert.equal(first.status, 200);
+
+    const replayed = await api.post("/api/auth/passkeys/login", body);
+    assert.equal(replayed.status, 401);
+    assert.equal(replayed.body.error.code, "passkey_invalid");
+    assert.equal(replayed.body.error.message, "This passkey response was already used");
+    assert.equal(replayed.body.token, undefined);
+  });
+});
@@ -0,0 +1,174 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import User, { PRIVATE_FIELDS } from "../models/User.js";
+import { clearTestDatabase, connectTestDatabase, disconnectTestDatabase } from "./helpers/database.js";
+import { clearOutbox, startTestServer } from "./helpers/testServer.js";
+import { createUser, registrationFields } from "./factories/userFactory.js";
+
+// Every `select: false` path; a query only returns them when it asks for them.
+const SECRET_PATHS = [
+  "password",
+  "passwordHistory",
+  "emailVerificationTokenHash",
+  "passwordResetTokenHash",
+  "magicLinkTokenHash",
+  "mfa.secret",
+  "mfa.pendingSecret",
+  "mfa.recoveryCodeHashes",
+  "mfa.lastUsedStep",
+];
+const MFA_SECRET_FIELDS = ["secret", "pendingSecret", "recoveryCodeHashes", "lastUsedStep"];
+
+let api;
+
+before(async () => {
+  await connectTestDatabase();
+  api = await startTestServer();
+});
+
+afterEach(async () => {
+  await clearTestDatabase();
+  clearOutbox();
+});
+
+after(async () => {
+  await api?.close();
+  await disconnectTestDatabase();
+});
+
+// A saved user with every secret filled in (2FA stays off so the password alone signs in).
+const createUserWithSecrets = () =>
+  createUser({
+    passwordHistory: ["$2b$04$previous-hash"],
+    identities: [{ provider: "github", subject: "gh-123", email: "ada@example.com" }],
+    mfa: { enabled: false, secret: "enc-secret", pendingSecret: "enc-pending", recoveryCodeHashes: ["rc-hash"] },
+    emailVerificationTokenHash: "verify-hash",
+    emailVerificationExpires: new Date(),
+    passwordResetTokenHash: "reset-hash",
+    passwordResetExpires: new Date(),
+    magicLinkTokenHash: "magic-hash",
+    magicLinkExpires: new Date(),
+    failedLoginAttempts: 2,
+    lastFailedLoginAt: new Date(),
+  });
+
+// The user as the database holds it, secrets included.
+const loadWithSecrets = (id) => User.findById(id).select(SECRET_PATHS.map((path) => `+${path}`).join(" "));
+
+const secretValues = (user) =>
+  [
+    user.password,
+    ...(user.passwordHistory || []),
+    user.emailVerificationTokenHash,
+    user.passwordResetTokenHash,
+    user.magicLinkTokenHash,
+    user.mfa?.secret,
+    user.mfa?.pendingSecret,
+    ...(user.mfa?.recoveryCodeHashes || []),
+    ...user.identities.map((identity) => identity.subject),
+  ].filter(Boolean);
+
+// Fails if a private field name appears at any depth of a response body, or any secret value anywhere in it.
+const assertNoSecrets = (body, user) => {
+  const walk = (value) => {
+    if (!value || typeof value !== "object") return;
+    for (const [key, child] of Object.entries(value)) {
+      assert.ok(!PRIVATE_FIELDS.includes(key), `response contains "${key}"`);
+      assert.ok(!MFA_SECRET_FIELDS.includes(key), `response contains "${key}"`);
+      assert.notEqual(key, "__v");
+      walk(child);
+    }
+  };
+  const json = JSON.parse(JSON.stringify(body));
+  walk(json);
+  const text = JSON.stringify(json);
+  assert.ok(!text.includes("$2"), "response contains a bcrypt hash");
+  for (const secret of secretValues(user)) assert.ok(!text.includes(secret), "response contains a secret value");
+};
+
+describe("User serialization", () => {
+  it("toJSON drops every private field and the 2FA secrets", async () => {
+    const { user: created } = await createUserWithSecrets();
+    const user = await loadWithSecrets(created._id);
+    const json = user.toJSON();
+
+    for (const field of PRIVATE_FIELDS) assert.equal(json[field], undefined, field);
+    assert.deepEqual(Object.keys(json.mfa).sort(), ["enabled", "enabledAt"]);
+    assert.deepEqual(Object.keys(json.identities[0]).sort(), ["email", "linkedAt", "provider"]);
+    assertNoSecrets(json, user);
+  });
+
+  it("toProfile returns only the public profile", async () => {
+    const { user: created } = await createUserWithSecrets();
+    const user = await loadWithSecrets(created._id);
+
+    assert.deepEqual(Object.keys(user.toProfile()).sort(), [
+      "_id",
+      "accountType",
+      "createdAt",
+      "email",
+      "emailVerified",
+      "identities",
+      "lastLoginAt",
+      "mfa",
+      "name",
+      "organization",
+      "organizationRole",
+      "pendingEmail",
+      "roles",
+    ]);
+    assertNoSecrets(user.toProfile(), user);
+  });
+
+  it("leaves the secrets out of a query unless it asks for them", async () => {
+    const { user: created } = await createUserWithSecrets();
+
+    const user = await User.findOne({ email: created.email });
+    for (const path of SECRET_PATHS) assert.equal(user.get(path), undefined, path);
+
+    const withPassword = await User.findOne({ email: created.email }).select("+password");
+    assert.equal(withPassword.password, created.password);
+  });
+});
+
+describe("auth responses", () => {
+  it("register returns the profile without the password hash", async () => {
+    const fields = registrationFields();
+    const res = await api.post("/api/auth/register", fields);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.email, fields.email);
+    const stored = await loadWithSecrets(res.body.user._id);
+    assertNoSecrets(res.body, stored);
+  });
+
+  it("login returns a sanitized user with the session", async () => {
+    const { user, password } = await createUserWithSecrets();
+    const res = await api.post("/api/auth/login", { email: user.email, password });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.equal(res.body.user.email, user.email);
+    assertNoSecrets(res.body, user);
+  });
+
+  it("/me returns a sanitized user", async () => {
+    const { user, password } = await createUserWithSecrets();
+    const { body } = await api.post("/api/auth/login", { email: user.email, password });
+    const res = await api.get("/api/auth/me", { token: body.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.email, user.email);
+    assertNoSecrets(res.body, user);
+  });
+
+  it("profile updates return a sanitized user", async () => {
+    const { user, password } = await createUserWithSecrets();
+    const { body } = await api.post("/api/auth/login", { email: user.email, password });
+    const res = await api.patch("/api/auth/me", { name: "Ada L." }, { token: body.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.name, "Ada L.");
+    assertNoSecrets(res.body, user);
+  });
+});
@@ -0,0 +1,53 @@
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import Credential from "../models/Credential.js";
+import Invitation from "../models/Invitation.js";
+import Organization from "../models/Organization.js";
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Everything stored for an account besides the User document: sessions, passkeys, the invitations it
+// sent that are still pending, and the organizations it owns (their remaining members become personal
+// accounts). Audit events (AuthEvent) are kept until their own retention ends: they record what happened
+// to the account, including its deletion.
+export const deleteAccountData = async (userId) => {
+  await Session.deleteMany({ user: userId });
+  await Credential.deleteMany({ user: userId });
+  await Invitation.deleteMany({ invitedBy: userId, acceptedAt: null });
+
+  const owned = await Organization.find({ owner: userId }).select("_id");
+  const organizationIds = owned.map((organization) => organization._id);
+  if (!organizationIds.length) return;
+  await User.updateMany(
+    { organization: { $in: organizationIds } },
+    { $set: { accountType: "personal" }, $unset: { organization: 1, organizationRole: 1 } }
+  );
+  await Invitation.deleteMany({ organization: { $in: organizationIds } });
+  await Organization.deleteMany({ _id: { $in: organizationIds } });
+};
+
+// Purge the accounts whose deletion grace period is over (DELETE /api/auth/me). The User goes first and
+// only while it is still due, so signing in at the same moment (which clears purgeAt) keeps everything.
+export const purgeDeletedAccounts = async (now = new Date()) => {
+  const due = await User.find({ purgeAt: { $lte: now } }).select("_id");
+  let purged = 0;
+  for (const { _id } of due) {
+    const { deletedCount } = await User.deleteOne({ _id, purgeAt: { $lte: now } });
+    if (!deletedCount) continue;
+    await deleteAccountData(_id);
+    purged += 1;
+  }
+  return purged;
+};
+
+// Runs the purge at startup and then hourly; the timer never keeps the process alive.
+export const startAccountPurge = () => {
+  const run = () =>
+    purgeDeletedAccounts().catch((error) => console.error("❌ Account purge failed:", error.message));
+  // purgeAt used to be a TTL index, which deleted the User alone; drop it where it still exists
+  User.collection.dropIndex("purgeAt_1").catch(() => {});
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,28 @@
+import AuthEvent from "../models/AuthEvent.js";
+
+const retentionDays = () => Number(process.env.AUTH_EVENT_RETENTION_DAYS) || 90;
+
+// Record one authentication action in the AuthEvent log.
+// `user` may be a document or an id; `email` is kept for attempts on unknown accounts.
+// Logging must never break the action being logged, so failures are only reported.
+export const recordAuthEvent = async (req, { type, outcome = "success", reason, user, email, actor }) => {
+  try {
+    await AuthEvent.create({
+      type,
+      outcome,
+      reason: reason || null,
+      user: user?._id || user || null,
+      email: email || user?.email || null,
+      actor: actor?._id || actor || null,
+      ip: req.ip || null,
+      userAgent: String(req.get("user-agent") || "").slice(0, 512),
+      expiresAt: new Date(Date.now() + retentionDays() * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    console.error("❌ Auth event not recorded:", type, error.message);
+  }
+};
+
+// Shorthand for the common failure case.
+export const recordAuthFailure = (req, type, reason, details = {}) =>
+  recordAuthEvent(req, { ...details, type, outcome: "failure", reason });
@@ -0,0 +1,35 @@
+// Plain-text + HTML bodies for transactional mail. Keep them short and
+// link-centric; every link points at the frontend (see clientUrl).
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+export const passwordResetEmail = ({ name, link, minutes }) => ({
+  subject: "Reset your password",
+  text: `Hi ${name},\n\nUse the link below to choose a new password. It expires in ${minutes} minutes and can only be used once.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Use the link below to choose a new password. It expires in ${minutes} minutes and can only be used once.</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>If you didn't ask for this, you can ignore this email.</p>`,
+});
+
+export const magicLinkEmail = ({ name, link, minutes }) => ({
+  subject: "Your sign-in link",
+  text: `Hi ${name},\n\nUse the link below to sign in. It expires in ${minutes} minutes, can only be used once and only works in the browser where you asked for it.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Use the link below to sign in. It expires in ${minutes} minutes, can only be used once and only works in the browser where you asked for it.</p><p><a href="${escapeHtml(link)}">Sign in</a></p><p>If you didn't ask for this, you can ignore this email.</p>`,
+});
+
+export const verifyEmailEmail = ({ name, link, hours }) => ({
+  subject: "Verify your email address",
+  text: `Hi ${name},\n\nConfirm this address to finish setting up your account. The link expires in ${hours} hours.\n\n${link}\n\nIf you didn't create an account, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Confirm this address to finish setting up your account. The link expires in ${hours} hours.</p><p><a href="${escapeHtml(link)}">Verify email</a></p><p>If you didn't create an account, you can ignore this email.</p>`,
+});
+
+export const confirmEmailChangeEmail = ({ name, link, hours }) => ({
+  subject: "Confirm your new email address",
+  text: `Hi ${name},\n\nConfirm this address to start using it for your account. The link expires in ${hours} hours.\n\n${link}\n\nIf you didn't ask to change your email, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Confirm this address to start using it for your account. The link expires in ${hours} hours.</p><p><a href="${escapeHtml(link)}">Confirm email</a></p><p>If you didn't ask to change your email, you can ignore this email.</p>`,
+});
+
+export const organizationInviteEmail = ({ organizationName, inviterName, link, days }) => ({
+  subject: `Join ${organizationName} on MERN Auth`,
+  text: `Hi,\n\n${inviterName} invited you to join ${organizationName}. The invitation expires in ${days} days.\n\n${link}\n\nIf you weren't expecting this, you can ignore this email.`,
+  html: `<p>Hi,</p><p>${escapeHtml(inviterName)} invited you to join ${escapeHtml(organizationName)}. The invitation expires in ${days} days.</p><p><a href="${escapeHtml(link)}">Accept invitation</a></p><p>If you weren't expecting this, you can ignore this email.</p>`,
+});
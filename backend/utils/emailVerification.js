@@ -0,0 +1,20 @@
+import { generateToken, hashToken } from "./tokens.js";
+import { clientUrl, sendMail } from "./mailer.js";
+import { confirmEmailChangeEmail, verifyEmailEmail } from "./emailTemplates.js";
+
+const verificationTtlHours = () => Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// Store a fresh verification token on `user` and email the link. With a
+// pending email change the link goes to the new address, which replaces the
+// current one once it is confirmed (see GET /verify-email).
+export const sendVerificationEmail = async (user) => {
+  const verificationToken = generateToken();
+  const hours = verificationTtlHours();
+  user.emailVerificationTokenHash = hashToken(verificationToken);
+  user.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+  await user.save();
+
+  const link = clientUrl("/verify-email", { token: verificationToken });
+  const template = user.pendingEmail ? confirmEmailChangeEmail : verifyEmailEmail;
+  await sendMail({ to: user.pendingEmail || user.email, ...template({ name: user.name, link, hours }) });
+};
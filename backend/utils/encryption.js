@@ -0,0 +1,21 @@
+import crypto from "crypto";
+
+// AES-256-GCM for secrets we must be able to read back (e.g. TOTP seeds).
+// The key comes from ENCRYPTION_KEY, falling back to JWT_SECRET for local dev.
+const key = () =>
+  crypto.createHash("sha256").update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+// Output: "<iv>.<auth tag>.<ciphertext>", each base64url encoded.
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key(), iv);
+  const data = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64url")).join(".");
+};
+
+export const decrypt = (payload) => {
+  const [iv, tag, data] = payload.split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+};
@@ -0,0 +1,67 @@
+// API errors. Throw one from a route handler or middleware and the error
+// middleware (middleware/errorHandler.js) answers with its status and the
+// shared envelope:
+//   { error: { code, message, requestId, ...details } }
+// `code` is stable and meant for clients to branch on; `message` is for people.
+
+export class AppError extends Error {
+  constructor(message, { status = 500, code = "internal_error", details, headers } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.details = details; // extra envelope fields, e.g. { fields } or { retryAfter }
+    this.headers = headers;
+  }
+}
+
+// 400 with per-field messages, like the validate() middleware produces.
+export class ValidationError extends AppError {
+  constructor(fields, message = "Please correct the highlighted fields") {
+    super(message, { status: 400, code: "validation_failed", details: { fields } });
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message, { code = "bad_request", details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+// 401: missing, expired or revoked credentials.
+export class AuthError extends AppError {
+  constructor(message = "Authentication required", { code = "unauthorized", details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+// 403: signed in (or identified) but not allowed.
+export class ForbiddenError extends AppError {
+  constructor(message = "You don't have permission to do that", { code = "forbidden", details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", { code = "not_found", details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, { code = "conflict", details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+// 429 with Retry-After (header + body, since cross-origin clients can't read
+// the header unless it is exposed).
+export class RateLimitError extends AppError {
+  constructor(
+    message = "Too many requests, please try again later",
+    { resetAt = Date.now(), code = "rate_limited" } = {}
+  ) {
+    const retryAfter = Math.max(Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000), 1);
+    super(message, { status: 429, code, details: { retryAfter }, headers: { "Retry-After": String(retryAfter) } });
+  }
+}
@@ -0,0 +1,63 @@
+import jwt from "jsonwebtoken";
+import Invitation from "../models/Invitation.js";
+import { JWT_ALGORITHMS } from "./tokens.js";
+import { clientUrl, sendMail } from "./mailer.js";
+import { organizationInviteEmail } from "./emailTemplates.js";
+
+const inviteTtlDays = () => Number(process.env.ORG_INVITE_TTL_DAYS) || 7;
+
+// Signed link token naming the Invitation document; it expires with it.
+const signInvitationToken = (invitation) =>
+  jwt.sign({ id: invitation._id, email: invitation.email, type: "org_invite" }, process.env.JWT_SECRET, {
+    algorithm: JWT_ALGORITHMS[0],
+    expiresIn: Math.floor((invitation.expiresAt - Date.now()) / 1000),
+  });
+
+const verifyInvitationToken = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: JWT_ALGORITHMS });
+  if (payload.type !== "org_invite") throw new jwt.JsonWebTokenError("wrong token type");
+  return payload;
+};
+
+// Create an invitation to `organization` and email the link to `email`.
+export const sendInvitation = async ({ organization, email, invitedBy }) => {
+  const days = inviteTtlDays();
+  const invitation = await Invitation.create({
+    organization: organization._id,
+    email,
+    invitedBy: invitedBy._id,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+
+  const link = clientUrl("/invite", { token: signInvitationToken(invitation) });
+  await sendMail({
+    to: email,
+    ...organizationInviteEmail({ organizationName: organization.name, inviterName: invitedBy.name, link, days }),
+  });
+  return invitation;
+};
+
+// The still-usable invitation (with its organization) behind a link token, or null.
+export const findPendingInvitation = async (token) => {
+  let payload;
+  try {
+    payload = verifyInvitationToken(String(token));
+  } catch {
+    return null;
+  }
+  return Invitation.findOne({
+    _id: payload.id,
+    email: payload.email,
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).populate("organization");
+};
+
+// Mark the invitation used; false when another request got there first.
+export const consumeInvitation = async (invitation, userId) => {
+  const result = await Invitation.updateOne(
+    { _id: invitation._id, acceptedAt: null },
+    { $set: { acceptedAt: new Date(), acceptedBy: userId } }
+  );
+  return result.modifiedCount === 1;
+};
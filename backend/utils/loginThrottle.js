@@ -0,0 +1,67 @@
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import { getRateLimitStore } from "./rateLimitStore.js";
+
+// Per-account brute-force protection. Failed attempts and the temporary lock
+// live on the User document; unknown emails are tracked in the rate-limit
+// store with the same thresholds so both cases look identical to a client.
+
+const maxAttempts = () => Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const lockoutMs = () => (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const baseDelayMs = () => Number(process.env.LOGIN_DELAY_BASE_MS ?? 250);
+const MAX_DELAY_MS = 5000;
+
+export const LOGIN_FAILED_MESSAGE = "Invalid email or password";
+export const LOGIN_LOCKED_MESSAGE = "Too many failed sign-in attempts. Please try again later.";
+
+// Compared against when there is no real hash, so every failure costs one bcrypt round.
+export const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-the-password", 10);
+
+const unknownKey = (email) => `login-fail:${String(email || "").trim().toLowerCase()}`;
+
+// Progressive delay before answering a failure: 0, base, 2x base, 4x base, ... capped.
+export const failureDelay = (failures) =>
+  failures <= 1 ? 0 : Math.min(baseDelayMs() * 2 ** (failures - 2), MAX_DELAY_MS);
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Date until which sign-in is locked for this user (or unknown email), else null.
+export const lockedUntil = async (user, email) => {
+  if (user) return user.lockUntil && user.lockUntil > new Date() ? user.lockUntil : null;
+  const entry = await getRateLimitStore().get(unknownKey(email));
+  return entry && entry.count >= maxAttempts() ? entry.resetAt : null;
+};
+
+// Count a failed attempt and lock once the threshold is reached. Returns the
+// number of consecutive failures (used for the progressive delay).
+export const recordLoginFailure = async (user, email) => {
+  if (!user) {
+    const { count } = await getRateLimitStore().increment(unknownKey(email), lockoutMs());
+    return count;
+  }
+
+  const now = new Date();
+  // failures older than the lockout window no longer count
+  await User.updateOne(
+    { _id: user._id, lastFailedLoginAt: { $lt: new Date(now.getTime() - lockoutMs()) } },
+    { $set: { failedLoginAttempts: 0 } }
+  );
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+  const failures = updated.failedLoginAttempts;
+  if (failures >= maxAttempts())
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { lockUntil: new Date(now.getTime() + lockoutMs()), failedLoginAttempts: 0 } }
+    );
+  return failures;
+};
+
+// Clears the failures once a sign-in is complete, i.e. after the second factor where there is one.
+export const recordLoginSuccess = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } });
+};
@@ -0,0 +1,44 @@
+import jwt from "jsonwebtoken";
+import { JWT_ALGORITHMS, baseCookieOptions, generateToken, hashToken } from "./tokens.js";
+import { clientUrl, sendMail } from "./mailer.js";
+import { magicLinkEmail } from "./emailTemplates.js";
+
+// Random value stored in the requesting browser; the emailed link carries its
+// hash, so the link only signs in where it was asked for.
+export const MAGIC_LINK_NONCE_COOKIE = "magic_link_nonce";
+
+export const magicLinkTtlMinutes = () => Number(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+
+export const magicLinkNonceCookieOptions = () => ({
+  ...baseCookieOptions(),
+  httpOnly: true,
+  path: "/api/auth/magic-link",
+  maxAge: magicLinkTtlMinutes() * 60 * 1000,
+});
+
+// Signed link token. `jti` makes it single-use: only its hash is stored on
+// the user, and verifying it removes that hash.
+const signMagicLink = ({ user, jti, nonce, remember }) =>
+  jwt.sign(
+    { id: user._id, type: "magic_link", jti, nonce: hashToken(nonce), remember },
+    process.env.JWT_SECRET,
+    { algorithm: JWT_ALGORITHMS[0], expiresIn: `${magicLinkTtlMinutes()}m` }
+  );
+
+export const verifyMagicLink = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: JWT_ALGORITHMS });
+  if (payload.type !== "magic_link") throw new jwt.JsonWebTokenError("wrong token type");
+  return payload;
+};
+
+// Replace any pending link for `user` with a new one bound to `nonce` and email it.
+export const sendMagicLinkEmail = async (user, { nonce, remember = false }) => {
+  const jti = generateToken(16);
+  const minutes = magicLinkTtlMinutes();
+  user.magicLinkTokenHash = hashToken(jti);
+  user.magicLinkExpires = new Date(Date.now() + minutes * 60 * 1000);
+  await user.save();
+
+  const link = clientUrl("/magic-link", { token: signMagicLink({ user, jti, nonce, remember }) });
+  await sendMail({ to: user.email, ...magicLinkEmail({ name: user.name, link, minutes }) });
+};
@@ -0,0 +1,41 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const defaultOutbox = fileURLToPath(new URL("../outbox", import.meta.url));
+
+// A transport is an async function receiving { from, to, subject, text, html }.
+// "console" and "file" are local stand-ins; register a real one (SMTP, SES,
+// ...) with registerMailTransport() and select it with MAIL_TRANSPORT.
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || defaultOutbox;
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { file };
+  },
+};
+
+export const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport "${name}"`);
+  const from = process.env.MAIL_FROM || "MERN Auth <no-reply@localhost>";
+  return transport({ from, ...message });
+};
+
+// Absolute link into the frontend app, e.g. clientUrl("/reset-password", { token }).
+export const clientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || "http://localhost:5173");
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { JWT_ALGORITHMS } from "./tokens.js";
+import { AppError } from "./errors.js";
+
+export const OAUTH_STATE_COOKIE = "oauth_state";
+
+// PKCE (RFC 7636): S256 challenge derived from a random verifier.
+export const pkceChallenge = (verifier) => crypto.createHash("sha256").update(verifier).digest("base64url");
+
+export const oauthRedirectUri = (provider) =>
+  `${process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`}/api/auth/oauth/${provider}/callback`;
+
+// The state cookie must survive the top-level redirect back from the IdP, so it
+// is SameSite=Lax (Strict cookies are not sent on cross-site navigations).
+export const oauthStateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+  path: "/api/auth/oauth",
+  maxAge: 10 * 60 * 1000,
+});
+
+export const signOAuthState = (data) =>
+  jwt.sign({ ...data, type: "oauth_state" }, process.env.JWT_SECRET, {
+    algorithm: JWT_ALGORITHMS[0],
+    expiresIn: "10m",
+  });
+
+export const verifyOAuthState = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: JWT_ALGORITHMS });
+  if (payload.type !== "oauth_state") throw new jwt.JsonWebTokenError("wrong token type");
+  return payload;
+};
+
+export const authorizationUrl = (provider, { state, challenge }) => {
+  const url = new URL(provider.authorizationUrl);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: oauthRedirectUri(provider.name),
+    scope: provider.scope,
+    state,
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+  }).toString();
+  return url.toString();
+};
+
+// The provider, not this server or the client, failed: 502.
+const providerError = (message) => new AppError(message, { status: 502, code: "oauth_provider_error" });
+
+// GET a JSON resource from the provider with the user's access token.
+export const fetchJson = async (url, accessToken) => {
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json" },
+  });
+  if (!response.ok) throw providerError(`OAuth profile request failed (${response.status})`);
+  return response.json();
+};
+
+// Authorization-code exchange; resolves to the provider's access token.
+export const exchangeCode = async (provider, { code, verifier }) => {
+  const response = await fetch(provider.tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: oauthRedirectUri(provider.name),
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || "",
+      code_verifier: verifier,
+    }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token)
+    throw providerError(data.error_description || data.error || "OAuth token exchange failed");
+  return data.access_token;
+};
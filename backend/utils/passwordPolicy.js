@@ -0,0 +1,135 @@
+import { readFileSync } from "node:fs";
+import bcrypt from "bcryptjs";
+
+// Server-side password policy, shared by register, reset-password and
+// change-password. The definition comes from the environment:
+//   PASSWORD_MIN_LENGTH        (default 8)
+//   PASSWORD_REQUIRED_CLASSES  comma list of lowercase,uppercase,digit,symbol
+//                              (default "lowercase,uppercase,digit", "" for none)
+//   PASSWORD_HISTORY           previous passwords that can't be reused, current
+//                              one included (default 5, 0 disables the check)
+//   PASSWORD_DENY_COMMON       "false" to allow passwords on the bundled deny list
+// GET /api/auth/password-policy publishes the same definition to the client.
+
+export const PASSWORD_MAX_LENGTH = 128;
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: "[a-z]", label: "a lowercase letter" },
+  uppercase: { pattern: "[A-Z]", label: "an uppercase letter" },
+  digit: { pattern: "[0-9]", label: "a number" },
+  symbol: { pattern: "[^A-Za-z0-9]", label: "a symbol" },
+};
+
+export const getPasswordPolicy = () => {
+  const classes = (process.env.PASSWORD_REQUIRED_CLASSES ?? "lowercase,uppercase,digit")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => CHARACTER_CLASSES[name]);
+
+  return {
+    minLength: Math.max(Number(process.env.PASSWORD_MIN_LENGTH) || 8, 1),
+    maxLength: PASSWORD_MAX_LENGTH,
+    requiredClasses: [...new Set(classes)],
+    history: Math.max(Number(process.env.PASSWORD_HISTORY ?? 5) || 0, 0),
+    denyCommon: process.env.PASSWORD_DENY_COMMON !== "false",
+    denyPersonalInfo: true,
+  };
+};
+
+// Rules in display order. `pattern` (a RegExp source) is set for the ones a
+// client can check as the user types; the rest are only enforced here.
+export const passwordRules = (policy = getPasswordPolicy()) => [
+  {
+    id: "minLength",
+    label: `At least ${policy.minLength} characters`,
+    pattern: `^[\\s\\S]{${policy.minLength},}$`,
+  },
+  ...policy.requiredClasses.map((name) => ({
+    id: name,
+    label: `Contains ${CHARACTER_CLASSES[name].label}`,
+    pattern: CHARACTER_CLASSES[name].pattern,
+  })),
+  ...(policy.denyPersonalInfo ? [{ id: "personalInfo", label: "Doesn't contain your name or email" }] : []),
+  ...(policy.denyCommon ? [{ id: "common", label: "Isn't a commonly used password" }] : []),
+  ...(policy.history ? [{ id: "history", label: `Isn't one of your last ${policy.history} passwords` }] : []),
+];
+
+// Public shape served by GET /api/auth/password-policy.
+export const publicPasswordPolicy = () => {
+  const policy = getPasswordPolicy();
+  return { ...policy, rules: passwordRules(policy) };
+};
+
+let commonPasswords;
+const loadCommonPasswords = () => {
+  if (!commonPasswords) {
+    const file = readFileSync(new URL("../data/common-passwords.txt", import.meta.url), "utf8");
+    commonPasswords = new Set(
+      file
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  }
+  return commonPasswords;
+};
+
+// "Summer2024!" is as guessable as "summer", so trailing digits/symbols are ignored too.
+const isCommonPassword = (password) => {
+  const lower = password.toLowerCase();
+  const base = lower.replace(/[\d!@#$%^&*.?_-]+$/, "");
+  const list = loadCommonPasswords();
+  return list.has(lower) || (base.length > 0 && list.has(base));
+};
+
+// Name parts and the email's local part, ignoring fragments too short to matter.
+const personalTerms = ({ name, email }) =>
+  [...String(name || "").split(/\s+/), String(email || "").split("@")[0]]
+    .map((term) => term.toLowerCase())
+    .filter((term) => term.length >= 3);
+
+// First policy violation for `password` as a user-facing message, or null.
+export const checkPassword = (password, { name, email } = {}) => {
+  const policy = getPasswordPolicy();
+  if (typeof password !== "string" || password.length < policy.minLength)
+    return `Password must be at least ${policy.minLength} characters`;
+  if (password.length > policy.maxLength) return `Password must be at most ${policy.maxLength} characters`;
+
+  for (const cls of policy.requiredClasses) {
+    if (!new RegExp(CHARACTER_CLASSES[cls].pattern).test(password))
+      return `Password must contain ${CHARACTER_CLASSES[cls].label}`;
+  }
+
+  const lower = password.toLowerCase();
+  if (policy.denyPersonalInfo && personalTerms({ name, email }).some((term) => lower.includes(term)))
+    return "Password must not contain your name or email";
+  if (policy.denyCommon && isCommonPassword(password))
+    return "This password is too common, please choose a less predictable one";
+
+  return null;
+};
+
+// Like checkPassword, plus the reuse check against the user's current and
+// previous hashes. `user` must be loaded with +password +passwordHistory.
+export const checkNewPassword = async (user, password) => {
+  const problem = checkPassword(password, user);
+  if (problem) return problem;
+
+  const { history } = getPasswordPolicy();
+  if (!history) return null;
+  const recent = [user.password, ...(user.passwordHistory || [])].filter(Boolean).slice(0, history);
+  for (const hash of recent) {
+    if (await bcrypt.compare(password, hash)) return "Choose a password you haven't used recently";
+  }
+  return null;
+};
+
+// Hash and store a new password, keeping the previous hash for the reuse check.
+export const setUserPassword = async (user, password) => {
+  const { history } = getPasswordPolicy();
+  if (user.password && history > 1) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, history - 1);
+  }
+  user.password = await bcrypt.hash(password, 10);
+  user.passwordChangedAt = new Date();
+};
@@ -0,0 +1,17 @@
+import { generateToken, hashToken } from "./tokens.js";
+import { clientUrl, sendMail } from "./mailer.js";
+import { passwordResetEmail } from "./emailTemplates.js";
+
+const resetTokenTtlMinutes = () => Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Store a fresh single-use reset token on `user` and email the link.
+export const sendPasswordResetEmail = async (user) => {
+  const resetToken = generateToken();
+  const minutes = resetTokenTtlMinutes();
+  user.passwordResetTokenHash = hashToken(resetToken);
+  user.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+  await user.save();
+
+  const link = clientUrl("/reset-password", { token: resetToken });
+  await sendMail({ to: user.email, ...passwordResetEmail({ name: user.name, link, minutes }) });
+};
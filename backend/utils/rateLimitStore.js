@@ -0,0 +1,88 @@
+import RateLimit from "../models/RateLimit.js";
+
+// Rate-limit stores count hits per key in fixed windows. Interface:
+//   increment(key, windowMs) -> { count, resetAt }   (resetAt is a Date)
+//   get(key)                 -> { count, resetAt } | null
+//   reset(key)
+// MemoryStore is per-process; use MongoStore when running several instances.
+
+export class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    // drop expired windows now and then so the map can't grow forever
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) if (entry.resetAt <= now) this.hits.delete(key);
+    }, 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async get(key) {
+    const entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= Date.now()) return null;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+export class MongoStore {
+  async increment(key, windowMs, retried = false) {
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + windowMs);
+    try {
+      // restart the window if the previous one is over (TTL cleanup is lazy)
+      await RateLimit.updateOne({ key, resetAt: { $lte: now } }, { $set: { count: 0, resetAt } });
+      const doc = await RateLimit.findOneAndUpdate(
+        { key },
+        { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+        { upsert: true, new: true }
+      );
+      return { count: doc.count, resetAt: doc.resetAt };
+    } catch (error) {
+      // two first hits raced on the upsert; the second one just retries
+      if (error.code === 11000 && !retried) return this.increment(key, windowMs, true);
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const doc = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+    return doc ? { count: doc.count, resetAt: doc.resetAt } : null;
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+const stores = { memory: () => new MemoryStore(), mongo: () => new MongoStore() };
+let defaultStore = null;
+
+// Shared store selected by RATE_LIMIT_STORE ("memory" by default, or "mongo").
+export const getRateLimitStore = () => {
+  if (!defaultStore) {
+    const name = process.env.RATE_LIMIT_STORE || "memory";
+    if (!stores[name]) throw new Error(`Unknown rate limit store "${name}"`);
+    defaultStore = stores[name]();
+  }
+  return defaultStore;
+};
+
+// Swap the shared store (e.g. a custom Redis-backed one, or a fresh store in tests).
+export const setRateLimitStore = (store) => {
+  defaultStore = store;
+};
@@ -0,0 +1,133 @@
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import {
+  accessTokenResponse,
+  generateRefreshToken,
+  hashToken,
+  issueCsrfToken,
+  setRefreshCookie,
+  signMfaChallenge,
+  usesCookieAuth,
+} from "./tokens.js";
+import { parseUserAgent } from "./userAgent.js";
+import { AuthError, ForbiddenError } from "./errors.js";
+
+// Rejections shared by the sign-in paths; each call returns a fresh error to throw.
+export const accountDisabledError = () =>
+  new ForbiddenError("This account has been disabled", { code: "account_disabled" });
+
+export const passwordResetRequiredError = () =>
+  new ForbiddenError("Your password must be reset. Use the link we emailed you or request a new one.", {
+    code: "password_reset_required",
+  });
+
+export const sessionIdleError = () =>
+  new AuthError("Signed out after a period of inactivity", { code: "session_idle" });
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// How far an authenticated request must push the idle deadline before it is
+// worth a write; requests in between leave the session document alone.
+const ACTIVITY_RESOLUTION_MS = 5 * MINUTE_MS;
+
+// How long a just-rotated refresh token is still honoured (see refreshAccessToken).
+export const refreshGraceMs = () => (Number(process.env.REFRESH_REUSE_GRACE_SECONDS ?? 10) || 0) * 1000;
+
+// Lifetime limits (ms) for a session. Read lazily so values from .env are picked up.
+//   absolute: from sign-in, however active the session is
+//   idle: since the last authenticated request (silent refreshes don't count)
+export const sessionLimits = (remember) =>
+  remember
+    ? {
+        absolute: (Number(process.env.REMEMBER_ME_TTL_DAYS) || 30) * DAY_MS,
+        idle: (Number(process.env.REMEMBER_ME_IDLE_DAYS) || 7) * DAY_MS,
+      }
+    : {
+        absolute: (Number(process.env.SESSION_ABSOLUTE_TIMEOUT_HOURS) || 12) * HOUR_MS,
+        idle: (Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30) * MINUTE_MS,
+      };
+
+// Session deadlines sent to the client so it can warn before the idle timeout.
+export const sessionInfo = (session) => ({
+  remember: session.remember,
+  expiresAt: session.expiresAt,
+  idleExpiresAt: session.idleExpiresAt,
+  idleTimeout: Math.round(sessionLimits(session.remember).idle / 1000),
+});
+
+// An authenticated request moves the idle deadline (and lastSeenAt) forward.
+export const recordSessionActivity = async (session, req) => {
+  const { idle } = sessionLimits(session.remember);
+  const now = Date.now();
+  if (session.idleExpiresAt && session.idleExpiresAt.getTime() - now > idle - ACTIVITY_RESOLUTION_MS) return;
+  session.idleExpiresAt = new Date(now + idle);
+  session.lastSeenAt = new Date(now);
+  await Session.updateOne(
+    { _id: session._id },
+    { $set: { idleExpiresAt: session.idleExpiresAt, lastSeenAt: session.lastSeenAt, ip: req.ip || null } }
+  );
+};
+
+// Device details recorded on a session when it starts and refreshed as it is used.
+export const clientInfo = (req) => {
+  const userAgent = String(req.get("user-agent") || "").slice(0, 512);
+  return { userAgent, ...parseUserAgent(userAgent), ip: req.ip || null, lastSeenAt: new Date() };
+};
+
+// Create a new session (token family) for `user`, set the refresh cookie and
+// return the access-token payload and public profile for the response body.
+// Without `remember` the cookies are browser-session cookies and the shorter
+// limits apply.
+export const startSession = async (req, res, user, { remember = false } = {}) => {
+  // Signing in during the deletion grace period cancels the pending deletion.
+  const restored = !!user.deletedAt;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lastLoginAt: new Date() }, ...(restored && { $unset: { deletedAt: 1, purgeAt: 1 } }) }
+  );
+  if (restored) {
+    user.deletedAt = undefined;
+    user.purgeAt = undefined;
+  }
+
+  const refreshToken = generateRefreshToken();
+  const limits = sessionLimits(remember);
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    remember,
+    expiresAt: new Date(Date.now() + limits.absolute),
+    idleExpiresAt: new Date(Date.now() + limits.idle),
+    ...clientInfo(req),
+  });
+  const cookieExpiry = remember ? session.expiresAt : null;
+  setRefreshCookie(res, refreshToken, cookieExpiry);
+  return {
+    ...accessTokenResponse(user, session._id, res),
+    ...(usesCookieAuth() && { csrfToken: issueCsrfToken(res, cookieExpiry) }),
+    session: sessionInfo(session),
+    user: user.toProfile(),
+    ...(restored && { accountRestored: true }),
+  };
+};
+
+// Finish a successful first factor: users with 2FA get an interim
+// "mfa_required" challenge instead of a session (see POST /login/mfa).
+export const signInResponse = async (req, res, user, options = {}) => {
+  if (user.mfa?.enabled)
+    return {
+      message: "Two-factor authentication required",
+      code: "mfa_required",
+      mfaToken: signMfaChallenge(user, options),
+    };
+  return { message: "Login successful", ...(await startSession(req, res, user, options)) };
+};
+
+// Revoke every live session belonging to `userId`, optionally keeping `exceptSessionId`.
+export const revokeUserSessions = (userId, reason = "logout_all", exceptSessionId = null) =>
+  Session.updateMany(
+    { user: userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
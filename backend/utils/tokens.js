@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { permissionsFor } from "../config/roles.js";
+
+export const REFRESH_COOKIE = "refresh_token";
+export const ACCESS_COOKIE = "access_token";
+// Readable by the SPA, which echoes it in the X-CSRF-Token header (see middleware/csrf.js).
+export const CSRF_COOKIE = "csrf_token";
+export const CSRF_HEADER = "x-csrf-token";
+
+// Every JWT we sign is HS256; verification pins the algorithm to this list.
+export const JWT_ALGORITHMS = ["HS256"];
+
+// Read lazily so values from .env are picked up regardless of import order.
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+// AUTH_TRANSPORT=cookie keeps the access token in an httpOnly cookie instead of
+// handing it to the browser's JavaScript; "bearer" (default) returns it in the body.
+export const usesCookieAuth = () => process.env.AUTH_TRANSPORT === "cookie";
+
+// "strict" unless the SPA is served from another site, which needs "none" (and therefore Secure).
+const cookieSameSite = () => {
+  const value = String(process.env.COOKIE_SAMESITE || "strict").toLowerCase();
+  return ["strict", "lax", "none"].includes(value) ? value : "strict";
+};
+
+export const baseCookieOptions = () => ({
+  secure: process.env.NODE_ENV === "production" || cookieSameSite() === "none",
+  sameSite: cookieSameSite(),
+});
+
+// Short-lived JWT sent back in the JSON body and used as a Bearer token.
+// Roles/permissions are claims for clients (e.g. to hide UI); the server
+// re-checks them against the database (see middleware/requirePermission.js).
+// `sid` names the Session it was issued for, so signing that session out
+// also rejects its access tokens.
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      id: user._id,
+      type: "access",
+      ...(sessionId && { sid: sessionId }),
+      roles: [...(user.roles || [])],
+      permissions: permissionsFor(user),
+      ...(user.organization && { org: user.organization, orgRole: user.organizationRole }),
+    },
+    process.env.JWT_SECRET,
+    {
+      algorithm: JWT_ALGORITHMS[0],
+      expiresIn: accessTokenTtl(),
+    }
+  );
+
+export const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: JWT_ALGORITHMS });
+  if (payload.type !== "access") throw new jwt.JsonWebTokenError("wrong token type");
+  return payload;
+};
+
+// Interim token proving the password step passed; exchanged at /login/mfa.
+// Carries the "remember me" choice so the session started there honours it.
+export const signMfaChallenge = (user, { remember = false } = {}) =>
+  jwt.sign({ id: user._id, type: "mfa_challenge", remember }, process.env.JWT_SECRET, {
+    algorithm: JWT_ALGORITHMS[0],
+    expiresIn: "5m",
+  });
+
+export const verifyMfaChallenge = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: JWT_ALGORITHMS });
+  if (payload.type !== "mfa_challenge") throw new jwt.JsonWebTokenError("wrong token type");
+  return payload;
+};
+
+// Opaque random token (URL-safe); callers persist only its hash.
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString("base64url");
+
+// Opaque random refresh token; only its SHA-256 hash is persisted.
+export const generateRefreshToken = () => generateToken(48);
+
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshCookieOptions = () => ({ ...baseCookieOptions(), httpOnly: true, path: "/api/auth" });
+const accessCookieOptions = () => ({ ...baseCookieOptions(), httpOnly: true, path: "/api" });
+const csrfCookieOptions = () => ({ ...baseCookieOptions(), httpOnly: false, path: "/" });
+
+// Without `expiresAt` the cookie only lives as long as the browser session
+// (sign-ins without "remember me").
+const expiry = (expiresAt) => (expiresAt ? { expires: expiresAt } : {});
+
+export const setRefreshCookie = (res, token, expiresAt) =>
+  res.cookie(REFRESH_COOKIE, token, { ...refreshCookieOptions(), ...expiry(expiresAt) });
+
+export const setAccessCookie = (res, token, expiresAt) =>
+  res.cookie(ACCESS_COOKIE, token, { ...accessCookieOptions(), ...expiry(expiresAt) });
+
+export const setCsrfCookie = (res, token, expiresAt) =>
+  res.cookie(CSRF_COOKIE, token, { ...csrfCookieOptions(), ...expiry(expiresAt) });
+
+// Sign-out: drop every cookie a session may have set, whichever transport issued it.
+export const clearAuthCookies = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+  res.clearCookie(ACCESS_COOKIE, accessCookieOptions());
+  res.clearCookie(CSRF_COOKIE, csrfCookieOptions());
+};
+
+// New double-submit CSRF token for a cookie session, living as long as the session.
+export const issueCsrfToken = (res, expiresAt) => {
+  const token = generateToken();
+  setCsrfCookie(res, token, expiresAt);
+  return token;
+};
+
+// Shape shared by every endpoint that hands out an access token. In cookie
+// mode the token goes into the httpOnly cookie and the body only says when
+// it expires.
+export const accessTokenResponse = (user, sessionId, res) => {
+  const token = signAccessToken(user, sessionId);
+  const { exp } = jwt.decode(token);
+  const expiresIn = exp - Math.floor(Date.now() / 1000);
+  if (res && usesCookieAuth()) {
+    setAccessCookie(res, token, new Date(exp * 1000));
+    return { expiresIn };
+  }
+  return { token, expiresIn };
+};
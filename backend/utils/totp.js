@@ -0,0 +1,63 @@
+import crypto from "crypto";
+
+// RFC 6238 TOTP (HMAC-SHA1, 30 second steps, 6 digits) - the parameters every
+// mainstream authenticator app defaults to.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  return out;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 secret");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// New random 160-bit secret, base32 encoded for authenticator apps.
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const totpCode = (secret, step = currentStep()) => hotp(base32Decode(secret), step);
+
+// Returns the matching time step (to block replays) or null. `window` allows
+// for clock drift of that many steps either side.
+export const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = Buffer.from(hotp(key, step + drift));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) return step + drift;
+  }
+  return null;
+};
+
+export const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,40 @@
+// Just enough User-Agent parsing to label a session ("Chrome 126 on Windows").
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari.
+const BROWSERS = [
+  ["Edge", /Edg(?:e|A|iOS)?\/(\d+)/],
+  ["Opera", /(?:OPR|Opera)\/(\d+)/],
+  ["Samsung Internet", /SamsungBrowser\/(\d+)/],
+  ["Firefox", /(?:Firefox|FxiOS)\/(\d+)/],
+  ["Chrome", /(?:Chrome|CriOS)\/(\d+)/],
+  ["Safari", /Version\/(\d+)[\d.]* (?:Mobile\/\S+ )?Safari/],
+];
+
+const OPERATING_SYSTEMS = [
+  ["iOS", /(?:iPhone|iPad|iPod).*? OS (\d+)/],
+  ["Android", /Android (\d+)/],
+  ["Windows", /Windows NT/],
+  ["ChromeOS", /CrOS/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+const match = (table, ua) => {
+  for (const [name, pattern] of table) {
+    const found = ua.match(pattern);
+    if (found) return found[1] ? `${name} ${found[1]}` : name;
+  }
+  return null;
+};
+
+const deviceType = (ua) => {
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) return "tablet";
+  if (/Mobi|iPhone|iPod/.test(ua)) return "mobile";
+  return "desktop";
+};
+
+// => { browser, os, device } with "Unknown" for anything unrecognised.
+export const parseUserAgent = (ua = "") => ({
+  browser: match(BROWSERS, ua) || "Unknown browser",
+  os: match(OPERATING_SYSTEMS, ua) || "Unknown OS",
+  device: ua ? deviceType(ua) : "unknown",
+});
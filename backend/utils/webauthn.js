@@ -0,0 +1,281 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import UsedChallenge from "../models/UsedChallenge.js";
+import { JWT_ALGORITHMS, generateToken, hashToken } from "./tokens.js";
+
+// WebAuthn (passkeys) relying-party side: ceremony options, and verification of
+// what the browser's navigator.credentials.create()/get() return. Binary fields
+// travel as base64url strings in both directions.
+
+const CEREMONY_TIMEOUT_MS = 5 * 60 * 1000;
+
+// COSE algorithms we accept, in order of preference: ES256, EdDSA, RS256.
+const ES256 = -7;
+const EDDSA = -8;
+const RS256 = -257;
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+// The RP ID is the domain passkeys are scoped to; it must be the frontend's host or a parent of it.
+export const rpId = () => process.env.WEBAUTHN_RP_ID || new URL(clientUrl()).hostname;
+const rpName = () => process.env.WEBAUTHN_RP_NAME || process.env.MFA_ISSUER || "MERN Auth";
+
+// Origins allowed to run a ceremony (comma-separated), defaulting to CLIENT_URL.
+const expectedOrigins = () =>
+  (process.env.WEBAUTHN_ORIGINS || clientUrl())
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+const fromBase64url = (value, label) => {
+  if (typeof value !== "string" || !value) throw new Error(`Missing ${label}`);
+  return Buffer.from(value, "base64url");
+};
+
+// The WebAuthn user handle; the authenticator hands it back on sign-in.
+export const userHandleFor = (userId) => Buffer.from(String(userId)).toString("base64url");
+
+// Minimal CBOR (RFC 8949) reader: enough for attestation objects and COSE keys
+// (integers, byte/text strings, arrays, maps, tags and true/false/null).
+const readCbor = (buffer, offset) => {
+  if (offset >= buffer.length) throw new Error("Truncated CBOR data");
+  const major = buffer[offset] >> 5;
+  const info = buffer[offset] & 0x1f;
+  offset += 1;
+
+  if (major === 7) {
+    const simple = { 20: false, 21: true, 22: null };
+    if (!(info in simple)) throw new Error("Unsupported CBOR value");
+    return { value: simple[info], offset };
+  }
+
+  let length;
+  if (info < 24) length = info;
+  else if (info === 24) length = buffer.readUInt8(offset);
+  else if (info === 25) length = buffer.readUInt16BE(offset);
+  else if (info === 26) length = buffer.readUInt32BE(offset);
+  else if (info === 27) length = Number(buffer.readBigUInt64BE(offset));
+  else throw new Error("Unsupported CBOR length"); // indefinite lengths aren't used by authenticators
+  offset += info < 24 ? 0 : 2 ** (info - 24);
+
+  switch (major) {
+    case 0:
+      return { value: length, offset };
+    case 1:
+      return { value: -1 - length, offset };
+    case 2:
+    case 3: {
+      if (offset + length > buffer.length) throw new Error("Truncated CBOR data");
+      const bytes = buffer.subarray(offset, offset + length);
+      return { value: major === 2 ? bytes : bytes.toString("utf8"), offset: offset + length };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = readCbor(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = readCbor(buffer, offset);
+        const item = readCbor(buffer, key.offset);
+        map.set(key.value, item.value);
+        offset = item.offset;
+      }
+      return { value: map, offset };
+    }
+    default:
+      // tag: the tagged item is what matters
+      return readCbor(buffer, offset);
+  }
+};
+
+const decodeCbor = (buffer) => readCbor(buffer, 0).value;
+
+// Authenticator data (WebAuthn §6.1): rpIdHash | flags | signCount | [attested credential data]
+const parseAuthenticatorData = (buffer) => {
+  if (buffer.length < 37) throw new Error("Authenticator data is too short");
+  const flags = buffer[32];
+  const data = {
+    rpIdHash: buffer.subarray(0, 32),
+    userPresent: !!(flags & FLAG_USER_PRESENT),
+    userVerified: !!(flags & FLAG_USER_VERIFIED),
+    backupEligible: !!(flags & FLAG_BACKUP_ELIGIBLE),
+    backedUp: !!(flags & FLAG_BACKED_UP),
+    signCount: buffer.readUInt32BE(33),
+  };
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    const idLength = buffer.readUInt16BE(53);
+    data.aaguid = buffer.subarray(37, 53).toString("hex");
+    data.credentialId = buffer.subarray(55, 55 + idLength);
+    data.credentialPublicKey = readCbor(buffer, 55 + idLength).value;
+  }
+  return data;
+};
+
+// COSE_Key (RFC 9053) -> Node KeyObject, for the algorithms we offer.
+const coseToPublicKey = (cose) => {
+  if (!(cose instanceof Map)) throw new Error("Malformed credential public key");
+  const kty = cose.get(1);
+  const alg = cose.get(3);
+  let jwk;
+  if (alg === ES256 && kty === 2 && cose.get(-1) === 1)
+    jwk = { kty: "EC", crv: "P-256", x: cose.get(-2).toString("base64url"), y: cose.get(-3).toString("base64url") };
+  else if (alg === EDDSA && kty === 1 && cose.get(-1) === 6)
+    jwk = { kty: "OKP", crv: "Ed25519", x: cose.get(-2).toString("base64url") };
+  else if (alg === RS256 && kty === 3)
+    jwk = { kty: "RSA", n: cose.get(-1).toString("base64url"), e: cose.get(-2).toString("base64url") };
+  else throw new Error("Unsupported passkey algorithm");
+  return { algorithm: alg, key: crypto.createPublicKey({ key: jwk, format: "jwk" }) };
+};
+
+const verifySignature = (algorithm, key, data, signature) => {
+  if (algorithm === ES256) return crypto.verify("sha256", data, { key, dsaEncoding: "der" }, signature);
+  if (algorithm === RS256) return crypto.verify("sha256", data, key, signature);
+  if (algorithm === EDDSA) return crypto.verify(null, data, key, signature);
+  return false;
+};
+
+const checkClientData = (clientDataJSON, { type, challenge }) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString("utf8"));
+  } catch {
+    throw new Error("Malformed client data");
+  }
+  if (clientData.type !== type) throw new Error("Unexpected WebAuthn ceremony");
+  if (clientData.challenge !== challenge) throw new Error("Passkey challenge mismatch");
+  if (!expectedOrigins().includes(clientData.origin) || clientData.crossOrigin === true)
+    throw new Error("Passkey used from an unexpected origin");
+};
+
+const checkAuthenticatorData = (authData) => {
+  if (!crypto.timingSafeEqual(authData.rpIdHash, sha256(rpId())))
+    throw new Error("Passkey belongs to another site");
+  if (!authData.userPresent) throw new Error("The authenticator did not confirm user presence");
+};
+
+// Stateless challenge: the random value goes to the browser, and a signed copy
+// (bound to the ceremony and, for registration, the user) comes back with the response.
+const issueChallenge = (purpose, userId) => {
+  const challenge = generateToken(32);
+  const challengeToken = jwt.sign(
+    { type: "webauthn", purpose, challenge, ...(userId && { sub: String(userId) }) },
+    process.env.JWT_SECRET,
+    { algorithm: JWT_ALGORITHMS[0], expiresIn: CEREMONY_TIMEOUT_MS / 1000 }
+  );
+  return { challenge, challengeToken };
+};
+
+export const verifyChallengeToken = (token, purpose) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: JWT_ALGORITHMS });
+  if (payload.type !== "webauthn" || payload.purpose !== purpose) throw new jwt.JsonWebTokenError("wrong token type");
+  return payload;
+};
+
+// Marks a verified challenge (the payload of its token) as answered. Resolves false when it already was:
+// a signature counter can't tell a replay apart for synced passkeys, which always report 0.
+export const consumeChallenge = async ({ challenge, exp }) => {
+  try {
+    await UsedChallenge.create({ hash: hashToken(challenge), expiresAt: new Date(exp * 1000) });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Options for navigator.credentials.create(). Passkeys are discoverable
+// (resident) so they can be offered in the sign-in form's autofill.
+export const registrationOptions = (user, existingCredentials = []) => {
+  const { challenge, challengeToken } = issueChallenge("register", user._id);
+  return {
+    challengeToken,
+    publicKey: {
+      challenge,
+      rp: { id: rpId(), name: rpName() },
+      user: { id: userHandleFor(user._id), name: user.email, displayName: user.name },
+      pubKeyCredParams: [ES256, EDDSA, RS256].map((alg) => ({ type: "public-key", alg })),
+      timeout: CEREMONY_TIMEOUT_MS,
+      attestation: "none",
+      excludeCredentials: existingCredentials.map((credential) => ({
+        type: "public-key",
+        id: credential.credentialId,
+      })),
+      authenticatorSelection: { residentKey: "required", userVerification: "preferred" },
+    },
+  };
+};
+
+// Options for navigator.credentials.get(); no allowCredentials, so the browser
+// lists every passkey it has for this site.
+export const authenticationOptions = () => {
+  const { challenge, challengeToken } = issueChallenge("login");
+  return {
+    challengeToken,
+    publicKey: { challenge, rpId: rpId(), timeout: CEREMONY_TIMEOUT_MS, userVerification: "preferred" },
+  };
+};
+
+// Registration ceremony (WebAuthn §7.1). The attestation statement is not
+// checked: we ask for "none" and trust the key because the signed-in user
+// just created it. Returns the fields stored on a Credential.
+export const verifyRegistration = ({ id, clientDataJSON, attestationObject }, challenge) => {
+  checkClientData(fromBase64url(clientDataJSON, "client data"), { type: "webauthn.create", challenge });
+
+  const attestation = decodeCbor(fromBase64url(attestationObject, "attestation object"));
+  const authData = parseAuthenticatorData(attestation?.get?.("authData") || Buffer.alloc(0));
+  checkAuthenticatorData(authData);
+  if (!authData.credentialId) throw new Error("The authenticator returned no credential");
+  if (authData.credentialId.toString("base64url") !== id) throw new Error("Credential id mismatch");
+
+  const { algorithm, key } = coseToPublicKey(authData.credentialPublicKey);
+  return {
+    credentialId: id,
+    publicKey: key.export({ type: "spki", format: "der" }).toString("base64url"),
+    algorithm,
+    signCount: authData.signCount,
+    aaguid: authData.aaguid,
+    backupEligible: authData.backupEligible,
+    backedUp: authData.backedUp,
+  };
+};
+
+// Authentication ceremony (WebAuthn §7.2) against a stored Credential.
+// Returns the parsed authenticator data (flags and the new signCount).
+export const verifyAuthentication = (
+  { clientDataJSON, authenticatorData, signature, userHandle },
+  challenge,
+  credential
+) => {
+  const clientData = fromBase64url(clientDataJSON, "client data");
+  checkClientData(clientData, { type: "webauthn.get", challenge });
+
+  const authDataBytes = fromBase64url(authenticatorData, "authenticator data");
+  const authData = parseAuthenticatorData(authDataBytes);
+  checkAuthenticatorData(authData);
+  if (userHandle && userHandle !== userHandleFor(credential.user)) throw new Error("Passkey belongs to another account");
+
+  const key = crypto.createPublicKey({ key: Buffer.from(credential.publicKey, "base64url"), format: "der", type: "spki" });
+  const signed = Buffer.concat([authDataBytes, sha256(clientData)]);
+  if (!verifySignature(credential.algorithm, key, signed, fromBase64url(signature, "signature")))
+    throw new Error("Invalid passkey signature");
+
+  // §6.1.1: a counter that doesn't move forward hints at a cloned authenticator
+  // (both zero means the authenticator doesn't keep one, as synced passkeys don't)
+  if ((authData.signCount || credential.signCount) && authData.signCount <= credential.signCount)
+    throw new Error("Passkey signature counter did not increase");
+  return authData;
+};
@@ -0,0 +1,146 @@
+import { PASSWORD_MAX_LENGTH, checkPassword } from "../utils/passwordPolicy.js";
+
+// Request schemas for routes/authRoutes.js (see middleware/validate.js).
+
+const email = { label: "Email", required: true, lowercase: true, email: true, maxLength: 254 };
+
+// Passwords are never trimmed: surrounding spaces are part of the secret.
+// Length and strength rules for new passwords come from the password policy.
+const newPassword = { label: "Password", required: true, trim: false, maxLength: PASSWORD_MAX_LENGTH };
+
+const token = { label: "Token", required: true, maxLength: 512 };
+
+const totpCode = { label: "Code", pattern: [/^\d{6}$/, "Enter the 6-digit code from your authenticator app"] };
+const recoveryCode = { label: "Recovery code", maxLength: 32 };
+
+const codeOrRecoveryCode = ({ code, recoveryCode: recovery }) =>
+  code || recovery ? {} : { code: "Enter an authentication code or a recovery code" };
+
+export const registerSchema = {
+  name: { label: "Name", required: true, minLength: 2, maxLength: 60 },
+  email,
+  password: newPassword,
+  accountType: { label: "Account type", pattern: [/^(personal|company)$/, "Choose a personal or company account"] },
+  companyName: { label: "Company name", minLength: 2, maxLength: 100 },
+  companyDomain: {
+    label: "Company domain",
+    lowercase: true,
+    maxLength: 253,
+    pattern: [/^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/, "Enter a domain like example.com"],
+  },
+  inviteToken: { ...token, required: false, label: "Invitation", maxLength: 1024 },
+};
+export const registerCheck = ({ name, email: address, password, accountType, companyName, inviteToken }) => {
+  const errors = {};
+  const problem = checkPassword(password, { name, email: address });
+  if (problem) errors.password = problem;
+  // invited teammates join the inviting organization instead of creating one
+  if (accountType === "company" && !inviteToken && !companyName) errors.companyName = "Company name is required";
+  return errors;
+};
+
+export const loginSchema = {
+  email,
+  password: { label: "Password", required: true, trim: false, maxLength: PASSWORD_MAX_LENGTH },
+  remember: { label: "Remember me", type: "boolean" },
+};
+
+export const loginMfaSchema = { mfaToken: { ...token, label: "Challenge token" }, code: totpCode, recoveryCode };
+export const loginMfaCheck = codeOrRecoveryCode;
+
+export const emailSchema = { email };
+
+export const resetPasswordSchema = { token, password: newPassword };
+
+export const verifyEmailSchema = { token };
+
+export const magicLinkSchema = { email, remember: { label: "Remember me", type: "boolean" } };
+
+export const magicLinkVerifySchema = { token };
+
+// WebAuthn responses arrive flattened: the credential id plus its base64url-encoded response fields.
+const base64url = (label, maxLength) => ({
+  label,
+  required: true,
+  maxLength,
+  pattern: [/^[A-Za-z0-9_-]+$/, `${label} must be base64url encoded`],
+});
+const challengeToken = { ...token, label: "Challenge token", maxLength: 1024 };
+const passkeyName = { label: "Name", maxLength: 64 };
+
+export const passkeyRegisterSchema = {
+  challengeToken,
+  id: base64url("Credential id", 1366),
+  clientDataJSON: base64url("Client data", 4096),
+  attestationObject: base64url("Attestation object", 16384),
+  name: passkeyName,
+};
+
+export const passkeyLoginSchema = {
+  challengeToken,
+  id: base64url("Credential id", 1366),
+  clientDataJSON: base64url("Client data", 4096),
+  authenticatorData: base64url("Authenticator data", 4096),
+  signature: base64url("Signature", 1024),
+  userHandle: { ...base64url("User handle", 128), required: false },
+  remember: { label: "Remember me", type: "boolean" },
+};
+
+export const passkeyRenameSchema = { name: { ...passkeyName, required: true } };
+
+export const mfaCodeSchema = { code: { ...totpCode, required: true } };
+
+export const mfaDisableSchema = { code: totpCode, recoveryCode };
+export const mfaDisableCheck = codeOrRecoveryCode;
+
+export const updateMeSchema = {
+  name: { label: "Name", minLength: 2, maxLength: 60 },
+  email: { ...email, required: false },
+};
+export const updateMeCheck = ({ name, email: address }) =>
+  name || address ? {} : { name: "Provide a new name or email address" };
+
+export const changePasswordSchema = {
+  currentPassword: { label: "Current password", trim: false, maxLength: PASSWORD_MAX_LENGTH },
+  newPassword: { ...newPassword, label: "New password" },
+};
+
+export const deleteMeSchema = { password: { label: "Password", trim: false, maxLength: PASSWORD_MAX_LENGTH } };
+
+export const inviteSchema = { email };
+
+export const acceptInvitationSchema = { token: { ...token, label: "Invitation", maxLength: 1024 } };
+
+export const adminUserListSchema = {
+  search: { label: "Search", maxLength: 100 },
+  status: { label: "Status", pattern: [/^(active|disabled|deleted|unverified)$/, "Unknown status filter"] },
+  role: { label: "Role", maxLength: 40 },
+  accountType: { label: "Account type", pattern: [/^(personal|company)$/, "Unknown account type"] },
+  sort: { label: "Sort", pattern: [/^-?(name|email|createdAt|lastLoginAt)$/, "Unknown sort field"] },
+  page: { label: "Page", pattern: [/^\d{1,6}$/, "Page must be a number"] },
+  limit: { label: "Limit", pattern: [/^\d{1,3}$/, "Limit must be a number"] },
+};
+
+export const disableUserSchema = { reason: { label: "Reason", maxLength: 200 } };
+
+const isoDate = (label) => ({
+  label,
+  pattern: [/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/, `${label} must be a date like 2025-01-31`],
+});
+
+export const authEventListSchema = {
+  type: { label: "Event type", pattern: [/^[a-z_]{1,40}$/, "Unknown event type"] },
+  outcome: { label: "Outcome", pattern: [/^(success|failure)$/, "Outcome must be success or failure"] },
+  user: { label: "User", pattern: [/^[a-f\d]{24}$/i, "User must be a user id"] },
+  email: { label: "Email", maxLength: 254 },
+  ip: { label: "IP address", maxLength: 45 },
+  from: isoDate("From"),
+  to: isoDate("To"),
+  page: { label: "Page", pattern: [/^\d{1,6}$/, "Page must be a number"] },
+  limit: { label: "Limit", pattern: [/^\d{1,3}$/, "Limit must be a number"] },
+};
+
+export const authEventExportSchema = {
+  ...authEventListSchema,
+  format: { label: "Format", pattern: [/^(csv|json)$/, "Format must be csv or json"] },
+};
@@ -0,0 +1,17 @@
+import React from "react";
+import usePermission from "../hooks/usePermission";
+
+/**
+ * Renders children only when the signed-in user holds `permission`.
+ *
+ * Props:
+ * - permission: e.g. "users:read"
+ * - fallback: rendered instead (default: nothing)
+ *
+ * <Can permission="org:invite">
+ *   <InviteForm />
+ * </Can>
+ */
+export default function Can({ permission, fallback = null, children }) {
+  return usePermission(permission) ? <>{children}</> : fallback;
+}
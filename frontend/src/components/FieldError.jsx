@@ -0,0 +1,13 @@
+/**
+ * Inline validation message rendered under a form input.
+ * Pair with aria-describedby={`${id}`} and aria-invalid on the input.
+ */
+
+export default function FieldError({ id, message }) {
+  if (!message) return null;
+  return (
+    <p id={id} className="mt-1 text-xs text-red-600">
+      {message}
+    </p>
+  );
+}
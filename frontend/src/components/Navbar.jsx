@@ -1,24 +1,25 @@
 import React, { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { Link, useRouter } from "../context/RouterContext";
+import Can from "./Can";
 
 /**
  * Navbar (glassmorphism + animations)
- * - Reads auth.user from localStorage and listens for "storage" and "authChange"
+ * - Reads the signed-in user from AuthContext (hydrated from GET /api/auth/me)
+ * - The user card opens the account settings page (onOpenAccount)
+ * - "Devices" opens the signed-in sessions panel on that page (onOpenSessions)
+ * - Admins (users:read) get a link to the user-management dashboard (onOpenAdmin)
+ * - Without those callbacks the buttons navigate to /login, /signup, /account(#sessions) and /admin
  * - Produces a glassy nav with subtle blur, entrance animation and mobile menu
  * - Keep behavior the same as your original implementation but styled to match the app's glass UI
  */
 
-export default function Navbar({ onOpenLogin, onOpenRegister }) {
+export default function Navbar({ onOpenLogin, onOpenRegister, onOpenAccount, onOpenSessions, onOpenAdmin }) {
   const [open, setOpen] = useState(false);
   const [scrolled, setScrolled] = useState(false);
   const [mounted, setMounted] = useState(false);
-  const [user, setUser] = useState(() => {
-    try {
-      const raw = localStorage.getItem("auth.user");
-      return raw ? JSON.parse(raw) : null;
-    } catch {
-      return null;
-    }
-  });
+  const { user, logout } = useAuth();
+  const { navigate } = useRouter();
 
   useEffect(() => {
     setMounted(true);
@@ -33,31 +34,9 @@ export default function Navbar({ onOpenLogin, onOpenRegister }) {
     return () => window.removeEventListener("scroll", onScroll);
   }, []);
 
-  useEffect(() => {
-    function onAuthChange() {
-      try {
-        const raw = localStorage.getItem("auth.user");
-        setUser(raw ? JSON.parse(raw) : null);
-      } catch {
-        setUser(null);
-      }
-    }
-
-    onAuthChange();
-    window.addEventListener("storage", onAuthChange);
-    window.addEventListener("authChange", onAuthChange);
-
-    return () => {
-      window.removeEventListener("storage", onAuthChange);
-      window.removeEventListener("authChange", onAuthChange);
-    };
-  }, []);
-
   function handleLogout() {
-    localStorage.removeItem("auth.token");
-    localStorage.removeItem("auth.user");
-    window.dispatchEvent(new Event("authChange"));
-    setUser(null);
+    // revokes the server-side session and clears stored credentials
+    logout();
   }
 
   return (
@@ -74,7 +53,7 @@ export default function Navbar({ onOpenLogin, onOpenRegister }) {
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex items-center justify-between h-16">
           {/* Brand */}
-          <a href="/" className="flex items-center gap-3" aria-label="MERN Auth home">
+          <Link to="/" className="flex items-center gap-3" aria-label="MERN Auth home">
             <span className="inline-flex items-center justify-center w-9 h-9 rounded-md bg-sky-600 text-white shadow-sm transform transition-transform duration-200 hover:scale-105">
               <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 12l2-2m0 0l7-7 7 7M13 5v6h6" />
@@ -84,7 +63,7 @@ export default function Navbar({ onOpenLogin, onOpenRegister }) {
               <div className="text-sm font-semibold text-slate-900 leading-tight">MERN Auth</div>
               <div className="text-xs text-slate-500 -mt-0.5">Secure sign-in</div>
             </div>
-          </a>
+          </Link>
 
           {/* Desktop nav */}
           <nav className="hidden sm:flex sm:items-center sm:gap-6" aria-label="Main">
@@ -107,14 +86,14 @@ export default function Navbar({ onOpenLogin, onOpenRegister }) {
             {!user ? (
               <>
                 <button
-                  onClick={() => (onOpenLogin ? onOpenLogin() : window.location.assign("/login"))}
+                  onClick={() => (onOpenLogin ? onOpenLogin() : navigate("/login"))}
                   className="hidden sm:inline-flex items-center px-3 py-1.5 rounded-md text-sm font-medium text-slate-700 hover:bg-slate-100 transition"
                 >
                   Sign in
                 </button>
 
                 <button
-                  onClick={() => (onOpenRegister ? onOpenRegister() : window.location.assign("/signup"))}
+                  onClick={() => (onOpenRegister ? onOpenRegister() : navigate("/signup"))}
                   className="inline-flex items-center px-3 py-1.5 rounded-md bg-sky-600 text-white text-sm font-medium shadow-sm hover:bg-sky-700 transition transform hover:-translate-y-0.5"
                 >
                   Get started
@@ -122,16 +101,37 @@ export default function Navbar({ onOpenLogin, onOpenRegister }) {
               </>
             ) : (
               <div className="flex items-center gap-3">
-                <div className="flex items-center gap-3 px-2 py-1 rounded-md glass-user-card">
-                  <span className="relative flex items-center">
-                    <span className="h-3 w-3 rounded-full bg-green-500 animate-pulse-fast shadow-sm inline-block" />
-                    <span className="sr-only">Online</span>
-                  </span>
+                <Can permission="users:read">
+                  <button
+                    onClick={() => (onOpenAdmin ? onOpenAdmin() : navigate("/admin"))}
+                    className="hidden sm:inline-flex items-center px-3 py-1.5 rounded-md text-sm font-medium text-slate-700 hover:bg-slate-100 transition"
+                  >
+                    Admin
+                  </button>
+                </Can>
+                <div className="flex items-center rounded-md glass-user-card">
+                  <button
+                    onClick={() => (onOpenAccount ? onOpenAccount() : navigate("/account"))}
+                    className="flex items-center gap-3 px-2 py-1 rounded-md text-left hover:bg-white/40 transition"
+                    title="Account settings"
+                  >
+                    <span className="relative flex items-center">
+                      <span className="h-3 w-3 rounded-full bg-green-500 animate-pulse-fast shadow-sm inline-block" />
+                      <span className="sr-only">Online</span>
+                    </span>
 
-                  <div className="text-sm text-slate-700 leading-tight">
-                    <div className="font-medium">{user?.name || user?.email}</div>
-                    <div className="text-xs text-slate-500 -mt-0.5">{user?.email}</div>
-                  </div>
+                    <div className="text-sm text-slate-700 leading-tight">
+                      <div className="font-medium">{user?.name || user?.email}</div>
+                      <div className="text-xs text-slate-500 -mt-0.5">{user?.email}</div>
+                    </div>
+                  </button>
+                  <button
+                    onClick={() => (onOpenSessions ? onOpenSessions() : navigate("/account#sessions"))}
+                    className="hidden sm:block self-stretch px-2 border-l border-slate-200 text-xs font-medium text-slate-600 hover:bg-white/40 hover:text-slate-900 rounded-r-md transition"
+                    title="Where you're signed in"
+                  >
+                    Devices
+                  </button>
                 </div>
 
                 <button
@@ -194,7 +194,7 @@ export default function Navbar({ onOpenLogin, onOpenRegister }) {
                   onClick={() => {
                     setOpen(false);
                     if (onOpenLogin) onOpenLogin();
-                    else window.location.assign("/login");
+                    else navigate("/login");
                   }}
                   className="block w-full text-center px-3 py-2 rounded-md text-base font-medium text-slate-700 hover:bg-slate-50 transition"
                 >
@@ -204,7 +204,7 @@ export default function Navbar({ onOpenLogin, onOpenRegister }) {
                   onClick={() => {
                     setOpen(false);
                     if (onOpenRegister) onOpenRegister();
-                    else window.location.assign("/signup");
+                    else navigate("/signup");
                   }}
                   className="mt-2 block w-full text-center px-3 py-2 rounded-md bg-sky-600 text-white font-medium hover:bg-sky-700 transition"
                 >
@@ -220,6 +220,38 @@ export default function Navbar({ onOpenLogin, onOpenRegister }) {
                   </div>
                   <span className="inline-block h-3 w-3 rounded-full bg-green-500 animate-pulse-fast" />
                 </div>
+                <button
+                  onClick={() => {
+                    setOpen(false);
+                    if (onOpenAccount) onOpenAccount();
+                    else navigate("/account");
+                  }}
+                  className="mb-2 block w-full text-center px-3 py-2 rounded-md text-base font-medium text-slate-700 hover:bg-slate-50 transition"
+                >
+                  Account settings
+                </button>
+                <button
+                  onClick={() => {
+                    setOpen(false);
+                    if (onOpenSessions) onOpenSessions();
+                    else navigate("/account#sessions");
+                  }}
+                  className="mb-2 block w-full text-center px-3 py-2 rounded-md text-base font-medium text-slate-700 hover:bg-slate-50 transition"
+                >
+                  Signed-in devices
+                </button>
+                <Can permission="users:read">
+                  <button
+                    onClick={() => {
+                      setOpen(false);
+                      if (onOpenAdmin) onOpenAdmin();
+                      else navigate("/admin");
+                    }}
+                    className="mb-2 block w-full text-center px-3 py-2 rounded-md text-base font-medium text-slate-700 hover:bg-slate-50 transition"
+                  >
+                    Admin
+                  </button>
+                </Can>
                 <button
                   onClick={() => {
                     setOpen(false);
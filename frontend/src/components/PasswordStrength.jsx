@@ -0,0 +1,43 @@
+import React from "react";
+import { checkPasswordRules, passwordScore } from "../hooks/usePasswordPolicy";
+
+const SCORE_LABELS = ["Very weak", "Weak", "Okay", "Good", "Strong"];
+
+/**
+ * Strength meter + rule checklist built from the server's password policy.
+ * Rules the browser can't check (common passwords, reuse) are listed as reminders.
+ *
+ * Props:
+ * - policy: result of usePasswordPolicy() (null while loading)
+ * - password
+ */
+export default function PasswordStrength({ policy, password }) {
+  const score = passwordScore(policy, password);
+  const rules = checkPasswordRules(policy, password);
+
+  return (
+    <div>
+      {rules.length > 0 ? (
+        <ul className="mt-2 space-y-0.5 text-xs">
+          {rules.map((rule) => (
+            <li key={rule.id} className={rule.met ? "text-green-600" : "text-slate-500"}>
+              <span aria-hidden="true">{rule.met ? "✓" : "•"}</span> {rule.label}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="mt-2 text-xs text-slate-500">Mix cases, numbers and symbols to make it stronger.</div>
+      )}
+
+      <div className="mt-2 h-2 bg-slate-100 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-width duration-300 ${
+            score <= 1 ? "bg-red-400" : score === 2 ? "bg-yellow-400" : score === 3 ? "bg-emerald-400" : "bg-green-500"
+          }`}
+          style={{ width: `${(score / 4) * 100}%` }}
+        />
+      </div>
+      <div className="mt-1 text-xs text-slate-600">{SCORE_LABELS[score]}</div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React, { useEffect, useRef } from "react";
+import { useAuth } from "../context/AuthContext";
+import { loginPath, useRouter } from "../context/RouterContext";
+
+/**
+ * Renders children only for a signed-in user; anyone else is sent to /login?returnTo=<this page>,
+ * which comes back here after signing in.
+ * - while the session is being restored it waits instead of redirecting
+ * - once the page has been shown, signing out (or deleting the account) leaves it to the page to say so
+ *
+ * <ProtectedRoute>
+ *   <AccountSettings />
+ * </ProtectedRoute>
+ */
+export default function ProtectedRoute({ children }) {
+  const { isAuthenticated, loading } = useAuth();
+  const { path, search, hash, navigate } = useRouter();
+  const admittedRef = useRef(false);
+  if (isAuthenticated) admittedRef.current = true;
+
+  const redirect = !isAuthenticated && !loading && !admittedRef.current;
+  useEffect(() => {
+    if (redirect) navigate(loginPath(path + search + hash), { replace: true });
+  }, [redirect, navigate, path, search, hash]);
+
+  if (isAuthenticated || admittedRef.current) return <>{children}</>;
+  if (!loading) return null;
+  return (
+    <section className="py-24">
+      <p className="max-w-2xl mx-auto px-4 text-sm text-slate-600">Restoring your session...</p>
+    </section>
+  );
+}
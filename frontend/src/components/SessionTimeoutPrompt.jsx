@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+
+/**
+ * "You'll be signed out soon" dialog shown shortly before the session's idle timeout
+ * (AuthContext sets idleWarningAt). "Stay signed in" counts as activity on the server;
+ * doing nothing lets the session lapse and AuthContext signs out.
+ */
+
+function formatRemaining(ms) {
+  const seconds = Math.max(Math.ceil(ms / 1000), 0);
+  const minutes = Math.floor(seconds / 60);
+  return minutes ? `${minutes}:${String(seconds % 60).padStart(2, "0")}` : `${seconds} seconds`;
+}
+
+export default function SessionTimeoutPrompt() {
+  const { idleWarningAt, staySignedIn, logout } = useAuth();
+  const [now, setNow] = useState(() => Date.now());
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!idleWarningAt) return;
+    setNow(Date.now());
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [idleWarningAt]);
+
+  if (!idleWarningAt) return null;
+
+  async function handleStay() {
+    setBusy(true);
+    await staySignedIn();
+    setBusy(false);
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-4 sm:px-6">
+      <div className="absolute inset-0 bg-black/45" aria-hidden="true" />
+
+      <div
+        className="relative w-full max-w-sm glass-card rounded-2xl shadow-2xl border p-6"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="idle-title"
+        aria-describedby="idle-description"
+      >
+        <h2 id="idle-title" className="text-xl font-extrabold text-slate-900">
+          You'll be signed out soon
+        </h2>
+        <p id="idle-description" className="mt-2 text-sm text-slate-600">
+          You haven't been active for a while. For your security you will be signed out in{" "}
+          <span className="font-semibold text-slate-900">{formatRemaining(idleWarningAt - now)}</span>.
+        </p>
+
+        <div className="mt-5 flex gap-3">
+          <button
+            type="button"
+            onClick={handleStay}
+            disabled={busy}
+            autoFocus
+            className={`flex-1 py-2 rounded-md text-white font-medium shadow-lg transition ${
+              busy ? "bg-sky-500/80 cursor-wait" : "bg-sky-600 hover:bg-sky-700"
+            }`}
+          >
+            {busy ? "Staying signed in..." : "Stay signed in"}
+          </button>
+          <button
+            type="button"
+            onClick={logout}
+            className="flex-1 py-2 rounded-md border text-slate-700 font-medium hover:bg-slate-50 transition"
+          >
+            Sign out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
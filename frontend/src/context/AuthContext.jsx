@@ -1,101 +1,834 @@
-/* eslint-disable no-unused-vars */
 /* eslint-disable react-refresh/only-export-components */
-import React, { createContext, useContext, useEffect, useState } from "react";
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { createPasskey, getPasskey, isCancelled } from "../utils/webauthn";
+import { ApiError, COOKIE_AUTH, createApiClient, isSessionEnded } from "../utils/api";
 
 /**
- * AuthContext
- * - login({email, password, remember}) => calls POST /api/auth/login and expects { token, user }
- * - register(payload) => calls POST /api/auth/register
- * - logout() => clears state/localStorage
+ * AuthContext - the only owner of auth state (components read it through useAuth(), never from storage)
+ * - status: "idle" | "loading" | "authenticated" | "error" (error: the message behind it); loading is
+ *   status === "loading", i.e. the session is being restored or a sign-in is in flight
+ * - tabs stay in sync over a BroadcastChannel: signing in, refreshing and signing out in one tab applies to
+ *   every open tab at once (where BroadcastChannel is unsupported, other tabs notice on their next request)
+ * - login({email, password, remember}) => calls POST /api/auth/login and expects { token, session, user };
+ *   failures carry the server's `code`, per-field `fields` and, while locked out, `retryAfter` (seconds)
+ * - completeMfaLogin({mfaToken, code | recoveryCode}) => calls POST /api/auth/login/mfa after an "mfa_required" answer
+ * - completeOAuthSignIn({token, expiresIn}) => adopts the session the OAuth callback received
+ * - connectOAuthAccount(provider) => calls POST /api/auth/oauth/:provider/link and leaves for the provider;
+ *   /oauth/callback comes back with #linked=<provider>
+ * - requestMagicLink({email, remember}) => calls POST /api/auth/magic-link (emails a link bound to this browser)
+ * - signInWithMagicLink(token) => calls GET /api/auth/magic-link/verify; answers like login() (incl. mfaRequired)
+ * - signInWithPasskey({remember, conditional, signal}) => passkey ceremony via /api/auth/passkeys/login(/options);
+ *   answers like login(), or { cancelled: true } when the prompt was dismissed/aborted
+ * - listPasskeys() / addPasskey(name) / renamePasskey(id, name) / removePasskey(id) => /api/auth/passkeys
+ * - register(payload) => calls POST /api/auth/register; answers { ok, message, user } (the new public profile)
+ * - requestPasswordReset(email) => calls POST /api/auth/forgot-password
+ * - resetPassword({token, password}) => calls POST /api/auth/reset-password
+ * - verifyEmail(token) => calls GET /api/auth/verify-email
+ * - resendVerification(email) => calls POST /api/auth/resend-verification
+ * - updateProfile({name, email}) => calls PATCH /api/auth/me (a new email only applies once confirmed)
+ * - changePassword({currentPassword, newPassword}) => calls POST /api/auth/change-password
+ * - deleteAccount(password) => calls DELETE /api/auth/me, then clears the session
+ * - getOrganization() => calls GET /api/orgs/current (members, and pending invitations for owners)
+ * - getInvitation(token) => calls GET /api/orgs/invites/:token (the invitation a sign-up link carries)
+ * - inviteMember(email) => calls POST /api/orgs/invites
+ * - listSessions() => calls GET /api/auth/sessions (devices signed in; the current one has current: true)
+ * - revokeSession(id) => calls DELETE /api/auth/sessions/:id (revoking the current one signs out here too)
+ * - revokeOtherSessions() => calls DELETE /api/auth/sessions ("sign out everywhere else")
+ * - getActivity() => calls GET /api/auth/activity (recent security events on this account)
+ * - logout() => calls POST /api/auth/logout, clears state/storage
+ * - api => this session's client from utils/api.js: get/post/patch/delete/request resolve with the JSON body
+ *   or reject with an ApiError; it attaches the token (or CSRF header), refreshes and retries on 401
+ *   token_expired, and clears the session when the server says it has ended
+ * - silently calls POST /api/auth/refresh (httpOnly refresh cookie) shortly before the access token expires
+ *   (a network error, timeout or 5xx keeps the session and retries; only the server ending it signs out)
+ * - user is hydrated from GET /api/auth/me whenever a session starts (never trusted from storage)
+ * - a tab that starts without a stored token (bearer mode) tries one silent refresh, which restores a
+ *   browser-session sign-in made in another tab
+ * - session: { remember, expiresAt, idleExpiresAt, idleTimeout } as reported by the server
+ * - idleWarningAt: when set, the time (ms) the session will be signed out for inactivity;
+ *   staySignedIn() counts as activity and clears it (silent refreshes don't count)
+ * - roles/permissions come from the access token's claims; can(permission) only drives UI, the API enforces them
+ *
+ * Transport (VITE_AUTH_TRANSPORT, must match the backend's AUTH_TRANSPORT):
+ * - "bearer" (default): the access token is kept in localStorage["auth.token"] ("remember me") or
+ *   sessionStorage["auth.token"] (ends with the browser) and sent as a Bearer header
+ * - "cookie": the server keeps the token in an httpOnly cookie; nothing is stored in localStorage, state-changing
+ *   requests echo the csrf_token cookie in X-CSRF-Token, and roles/permissions come from GET /api/auth/me
  *
  * NOTE: adapt endpoints/response parsing to match your backend.
  */
 
 const AuthContext = createContext(null);
 
+// refresh this long before the access token actually expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+// after a refresh that failed without ending the session (offline, server down), try again this soon
+const REFRESH_RETRY_MS = 30 * 1000;
+// warn this long before the session is signed out for inactivity
+const IDLE_WARNING_MS = 2 * 60 * 1000;
+// the server records activity at most this often (ACTIVITY_RESOLUTION_MS in backend/utils/session.js)
+const ACTIVITY_RESOLUTION_MS = 5 * 60 * 1000;
+// setTimeout overflows past ~24.8 days; long idle timeouts are re-checked daily instead
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+const TOKEN_KEY = "auth.token";
+
+// Bearer mode: keep the token in localStorage for "remember me" sessions and in sessionStorage otherwise,
+// so it goes away with the browser. Without `persistent` it stays where the session already keeps it.
+function storeToken(token, persistent) {
+  const keep = persistent ?? localStorage.getItem(TOKEN_KEY) !== null;
+  localStorage.removeItem(TOKEN_KEY);
+  sessionStorage.removeItem(TOKEN_KEY);
+  if (token) (keep ? localStorage : sessionStorage).setItem(TOKEN_KEY, token);
+}
+
+function storedToken() {
+  return localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY) || null;
+}
+
+// When the server will sign the session out for inactivity: its last report, or later if we have made
+// requests since (it only records activity every few minutes, so assume the earliest it could be).
+function idleDeadline(session, lastActivity) {
+  const reported = new Date(session.idleExpiresAt).getTime();
+  return Math.max(reported, lastActivity + session.idleTimeout * 1000 - ACTIVITY_RESOLUTION_MS);
+}
+
+// Reads a JWT's claims without verifying it (the server does that); null if unreadable.
+function tokenClaims(token) {
+  try {
+    return JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+  } catch {
+    return null;
+  }
+}
+
+// Reads the `exp` claim (ms) from a JWT; null if unreadable.
+function tokenExpiry(token) {
+  const claims = tokenClaims(token);
+  return claims?.exp ? claims.exp * 1000 : null;
+}
+
+// Same matching as the backend's config/roles.js: "*" and "<resource>:*" are wildcards.
+export function hasPermission(granted, permission) {
+  const [resource] = permission.split(":");
+  return (granted || []).some((grant) => grant === "*" || grant === permission || grant === `${resource}:*`);
+}
+
+// What a failed sign-in step reports: `code` lets the form react (e.g. "email_not_verified"), and
+// `retryAfter` (seconds) is set while sign-in is locked out.
+function signInFailure(err, fallback) {
+  const { code, fields, retryAfter } = err;
+  return { ok: false, message: err.message || fallback, code, fields, retryAfter };
+}
+
+const AUTH_CHANNEL = "auth";
+const REFRESH_LOCK = "auth.refresh";
+
+// Signed-out state. `status` is "idle" (signed out), "loading" (a session is being restored or a
+// sign-in is in flight), "authenticated" (the user is loaded) or "error" (the last sign-in failed,
+// or the session couldn't be restored because the server was unreachable).
+const SIGNED_OUT = {
+  status: "idle",
+  error: null,
+  user: null,
+  token: null,
+  // cookie mode can't read the token, so it tracks the expiry instead
+  expiresAt: null,
+  // cookie mode only: what GET /api/auth/me reported
+  permissions: [],
+  session: null,
+  idleWarningAt: null,
+  // bumped whenever a new session starts, to re-hydrate the user (a refresh keeps the session)
+  version: 0,
+};
+
+// Every tab starts out restoring a session: from the stored token, from the refresh cookie (bearer mode
+// without a token, see AuthProvider) or, in cookie mode, from whatever GET /api/auth/me answers.
+function initialAuthState() {
+  const token = COOKIE_AUTH ? null : storedToken();
+  return { ...SIGNED_OUT, token, status: "loading" };
+}
+
+function authReducer(state, action) {
+  switch (action.type) {
+    case "sign_in_started":
+      return { ...state, status: "loading", error: null };
+    // a failed sign-in, or one waiting for its second factor
+    case "sign_in_stopped":
+      if (state.user) return { ...state, status: "authenticated" };
+      return { ...state, status: action.error ? "error" : "idle", error: action.error || null };
+    case "signed_in":
+      return {
+        ...state,
+        status: action.user ? "authenticated" : "loading",
+        error: null,
+        user: action.user || null,
+        token: action.token,
+        expiresAt: action.expiresAt,
+        session: action.session || null,
+        idleWarningAt: null,
+        version: state.version + 1,
+      };
+    case "refreshed":
+      return { ...state, token: action.token, expiresAt: action.expiresAt, session: action.session || state.session };
+    case "hydrated":
+      return {
+        ...state,
+        status: "authenticated",
+        error: null,
+        user: action.user,
+        permissions: action.permissions || [],
+        session: action.session || state.session,
+      };
+    case "hydration_failed":
+      return { ...state, status: "error", error: action.error };
+    case "user_updated":
+      return { ...state, user: action.user };
+    case "session_updated":
+      return { ...state, session: action.session };
+    case "idle_warning":
+      return state.idleWarningAt === action.at ? state : { ...state, idleWarningAt: action.at };
+    case "signed_out":
+      return { ...SIGNED_OUT, version: state.version };
+    default:
+      throw new Error(`Unknown auth action "${action.type}"`);
+  }
+}
+
+// Other tabs of the app, where supported; logging out (or in) in one tab applies to all of them.
+function openAuthChannel() {
+  return typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(AUTH_CHANNEL);
+}
+
 export function useAuth() {
   return useContext(AuthContext);
 }
 
 export function AuthProvider({ children }) {
-  const [user, setUser] = useState(() => {
-    try {
-      const raw = localStorage.getItem("auth.user");
-      return raw ? JSON.parse(raw) : null;
-    } catch {
-      return null;
+  const [state, dispatch] = useReducer(authReducer, undefined, initialAuthState);
+  const { status, user, token, expiresAt, session, idleWarningAt } = state;
+  // the API client reads the token from here so a refresh doesn't re-create it (and re-run the hydration)
+  const tokenRef = useRef(token);
+  const lastActivityRef = useRef(Date.now());
+  const channelRef = useRef(null);
+  // bumped by every session this tab adopts, its own or another tab's (see refresh)
+  const acceptedRef = useRef(0);
+
+  // refresh/clearSession as of the latest render; the client is created once and only calls them after a request
+  const sessionCallbacksRef = useRef(null);
+  const [api] = useState(() =>
+    createApiClient({
+      getToken: () => tokenRef.current,
+      refresh: () => sessionCallbacksRef.current.refresh(),
+      onSessionEnded: () => sessionCallbacksRef.current.clearSession(),
+      // anything but the silent refresh counts as activity on the server
+      onActivity: () => {
+        lastActivityRef.current = Date.now();
+      },
+    })
+  );
+
+  // forget the session in this tab only (see signOutEverywhere)
+  const clearSession = useCallback(() => {
+    tokenRef.current = null;
+    storeToken(null);
+    dispatch({ type: "signed_out" });
+  }, []);
+
+  // an explicit sign-out: every other open tab signs out at once instead of on its next request
+  const signOutEverywhere = useCallback(() => {
+    clearSession();
+    channelRef.current?.postMessage({ type: "signed_out" });
+  }, [clearSession]);
+
+  // adopt the access token (or, in cookie mode, its expiry) and the session limits from a sign-in/refresh
+  // response; `refreshed` keeps the current session instead of starting (and hydrating) a new one.
+  // Other tabs get the same response, so they switch to the new token instead of refreshing again.
+  const acceptSession = useCallback((data, { refreshed = false, broadcast = true } = {}) => {
+    acceptedRef.current += 1;
+    if (data.token) {
+      tokenRef.current = data.token;
+      if (!COOKIE_AUTH) storeToken(data.token, refreshed ? undefined : !!data.session?.remember);
     }
-  });
-  const [token, setToken] = useState(() => localStorage.getItem("auth.token") || null);
-  const [loading, setLoading] = useState(false);
+    const expiresAt = COOKIE_AUTH ? Date.now() + (Number(data.expiresIn) || 0) * 1000 : null;
+    const { token = null, session, user } = data;
+    dispatch({ type: refreshed ? "refreshed" : "signed_in", token, expiresAt, session, user });
+    if (broadcast) {
+      const message = { token, expiresIn: data.expiresIn, session, user };
+      channelRef.current?.postMessage({ type: refreshed ? "refreshed" : "signed_in", data: message });
+    }
+  }, []);
 
+  // follow sign-ins, refreshes and sign-outs made in other tabs
   useEffect(() => {
-    if (token) localStorage.setItem("auth.token", token);
-    else localStorage.removeItem("auth.token");
-  }, [token]);
+    const channel = openAuthChannel();
+    if (!channel) return;
+    channelRef.current = channel;
+    channel.onmessage = ({ data: message }) => {
+      if (message.type === "signed_out") clearSession();
+      else acceptSession(message.data, { refreshed: message.type === "refreshed", broadcast: false });
+    };
+    return () => {
+      channelRef.current = null;
+      channel.close();
+    };
+  }, [acceptSession, clearSession]);
+
+  // Tabs share the refresh cookie, so they take turns (a browser-wide lock where supported): a tab that
+  // waited skips its refresh when another tab's new token arrived meanwhile, and otherwise sends the
+  // cookie the previous refresh set instead of racing it with the one that was just rotated.
+  const refresh = useCallback(async () => {
+    const seen = acceptedRef.current;
+    async function run() {
+      if (acceptedRef.current !== seen) return true;
+      try {
+        const data = await api.post("/api/auth/refresh");
+        if (!(data.token || (COOKIE_AUTH && data.expiresIn)))
+          throw new ApiError("Session expired", { status: 401, code: "refresh_token_invalid" });
+        acceptSession(data, { refreshed: true });
+        return true;
+      } catch (err) {
+        // like the hydration below: only the server ending the session signs out, not being offline
+        if (isSessionEnded(err)) clearSession();
+        return false;
+      }
+    }
+    return navigator.locks ? navigator.locks.request(REFRESH_LOCK, run) : run();
+  }, [api, acceptSession, clearSession]);
 
+  sessionCallbacksRef.current = { refresh, clearSession };
+
+  // Bearer mode: a sign-in without "remember me" keeps its token in the tab that made it (sessionStorage),
+  // so a new tab starts without one although the browser still holds the refresh cookie. One silent
+  // refresh picks that session up; without a cookie (or a reachable server) the tab starts signed out.
+  useEffect(() => {
+    if (COOKIE_AUTH || tokenRef.current) return;
+    const seen = acceptedRef.current;
+    async function run() {
+      // another tab's sign-in, or one made here meanwhile (e.g. the OAuth callback), wins
+      if (acceptedRef.current !== seen) return;
+      try {
+        const data = await api.post("/api/auth/refresh");
+        if (acceptedRef.current !== seen || !data.token) throw new Error("No session to restore");
+        // this tab's own session from now on; the other tabs keep theirs
+        acceptSession(data, { broadcast: false });
+      } catch {
+        if (!tokenRef.current) dispatch({ type: "signed_out" });
+      }
+    }
+    if (navigator.locks) navigator.locks.request(REFRESH_LOCK, run);
+    else run();
+  }, [api, acceptSession]);
+
+  // hydrate the user from the server whenever a session starts (cookie mode: for the cookie session)
   useEffect(() => {
-    if (user) localStorage.setItem("auth.user", JSON.stringify(user));
-    else localStorage.removeItem("auth.user");
-  }, [user]);
+    if (!tokenRef.current && !COOKIE_AUTH) return;
+    let cancelled = false;
+    (async () => {
+      // a lapsed access token (cookie mode: a missing access cookie) is refreshed and retried by the client
+      try {
+        const data = await api.get("/api/auth/me");
+        if (cancelled) return;
+        dispatch({ type: "hydrated", user: data.user, permissions: data.permissions, session: data.session });
+      } catch (err) {
+        if (cancelled) return;
+        if (err.status === 401) clearSession();
+        // offline / server down: keep the token and try again on the next change
+        else dispatch({ type: "hydration_failed", error: err.message });
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [state.version, api, clearSession]);
 
-  async function login({ email, password, remember = false }) {
-    setLoading(true);
+  // schedule a silent refresh shortly before the current access token expires, and retry it while it
+  // fails without ending the session (a new token, or a sign-out, replaces this effect)
+  useEffect(() => {
+    const expiry = COOKIE_AUTH ? expiresAt : token && tokenExpiry(token);
+    if (!expiry) return;
+    let cancelled = false;
+    let timer;
+    async function attempt() {
+      if (!(await refresh()) && !cancelled) timer = setTimeout(attempt, REFRESH_RETRY_MS);
+    }
+    timer = setTimeout(attempt, Math.max(expiry - Date.now() - REFRESH_MARGIN_MS, 0));
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [token, expiresAt, refresh]);
+
+  // warn shortly before the idle timeout; once it passes, a refresh lets the server decide (another tab may
+  // have kept the session alive) and signs out here if it has really expired
+  useEffect(() => {
+    if (!session?.idleExpiresAt) return;
+    let timer;
+    function check() {
+      const remaining = idleDeadline(session, lastActivityRef.current) - Date.now();
+      if (remaining <= 0) {
+        dispatch({ type: "idle_warning", at: null });
+        refresh();
+      } else if (remaining <= IDLE_WARNING_MS) {
+        dispatch({ type: "idle_warning", at: Date.now() + remaining });
+        timer = setTimeout(check, remaining);
+      } else {
+        dispatch({ type: "idle_warning", at: null });
+        timer = setTimeout(check, Math.min(remaining - IDLE_WARNING_MS, MAX_TIMER_MS));
+      }
+    }
+    check();
+    return () => clearTimeout(timer);
+  }, [session, refresh]);
+
+  // an authenticated request is activity, so the server pushes the idle deadline back
+  const staySignedIn = useCallback(async () => {
     try {
-      const res = await fetch("/api/auth/login", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ email, password }),
-      });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || "Login failed");
-
-      // Expecting { token, user } - adjust if your backend returns different shape
-      setToken(data.token);
-      setUser(data.user || { email });
-      // If remember === false you might want to avoid persistent storage; here we still store for demo.
-      setLoading(false);
-      return { ok: true };
+      const data = await api.get("/api/auth/me");
+      if (data.session) dispatch({ type: "session_updated", session: data.session });
     } catch (err) {
-      setLoading(false);
-      return { ok: false, message: err.message || "Login failed" };
+      // offline: the warning stays up and the deadline check decides
+      if (err.status === 401) clearSession();
     }
-  }
+  }, [api, clearSession]);
 
-  async function register(payload) {
-    setLoading(true);
+  const login = useCallback(
+    async ({ email, password, remember = false }) => {
+      dispatch({ type: "sign_in_started" });
+      try {
+        const data = await api.post("/api/auth/login", { email, password, remember });
+        if (data.code === "mfa_required") {
+          dispatch({ type: "sign_in_stopped" });
+          return { ok: false, mfaRequired: true, mfaToken: data.mfaToken, message: data.message };
+        }
+
+        // Expecting { token, session, user } ({ expiresIn, session, user } in cookie mode) - the user is
+        // re-hydrated from /api/auth/me anyway. session.remember decides between localStorage and sessionStorage.
+        acceptSession(data);
+        return { ok: true };
+      } catch (err) {
+        dispatch({ type: "sign_in_stopped", error: err.message || "Login failed" });
+        return signInFailure(err, "Login failed");
+      }
+    },
+    [api, acceptSession]
+  );
+
+  const completeMfaLogin = useCallback(
+    async ({ mfaToken, code, recoveryCode }) => {
+      dispatch({ type: "sign_in_started" });
+      try {
+        const data = await api.post("/api/auth/login/mfa", { mfaToken, code, recoveryCode });
+        acceptSession(data);
+        return { ok: true };
+      } catch (err) {
+        dispatch({ type: "sign_in_stopped", error: err.message || "Verification failed" });
+        return signInFailure(err, "Verification failed");
+      }
+    },
+    [api, acceptSession]
+  );
+
+  // OAuth: the provider round-trip ends on /oauth/callback with the session in the URL fragment
+  // (cookie mode: already in httpOnly cookies). There is no "remember me", so it ends with the browser.
+  const completeOAuthSignIn = useCallback(
+    ({ token, expiresIn }) => {
+      acceptSession({ token, expiresIn });
+    },
+    [acceptSession]
+  );
+
+  const connectOAuthAccount = useCallback(
+    async (provider) => {
+      try {
+        const data = await api.post(`/api/auth/oauth/${encodeURIComponent(provider)}/link`);
+        window.location.assign(data.url);
+        return { ok: true };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not connect that account" };
+      }
+    },
+    [api]
+  );
+
+  const requestMagicLink = useCallback(
+    async ({ email, remember = false }) => {
+      try {
+        const data = await api.post("/api/auth/magic-link", { email, remember });
+        return { ok: true, message: data.message };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not send sign-in link", fields: err.fields };
+      }
+    },
+    [api]
+  );
+
+  const signInWithMagicLink = useCallback(
+    async (linkToken) => {
+      try {
+        const data = await api.get(`/api/auth/magic-link/verify?token=${encodeURIComponent(linkToken)}`);
+        if (data.code === "mfa_required") return { ok: false, mfaRequired: true, mfaToken: data.mfaToken };
+        acceptSession(data);
+        return { ok: true };
+      } catch (err) {
+        return { ok: false, message: err.message || "Sign-in link is invalid or has expired" };
+      }
+    },
+    [api, acceptSession]
+  );
+
+  const signInWithPasskey = useCallback(
+    async ({ remember = false, conditional = false, signal } = {}) => {
+      try {
+        const options = await api.post("/api/auth/passkeys/login/options");
+        const assertion = await getPasskey(options.publicKey, {
+          mediation: conditional ? "conditional" : undefined,
+          signal,
+        });
+
+        const data = await api.post("/api/auth/passkeys/login", {
+          challengeToken: options.challengeToken,
+          ...assertion,
+          remember,
+        });
+        if (data.code === "mfa_required") return { ok: false, mfaRequired: true, mfaToken: data.mfaToken };
+        acceptSession(data);
+        return { ok: true };
+      } catch (err) {
+        if (isCancelled(err)) return { ok: false, cancelled: true };
+        return { ok: false, message: err.message || "Passkey sign-in failed" };
+      }
+    },
+    [api, acceptSession]
+  );
+
+  const register = useCallback(
+    async (payload) => {
+      dispatch({ type: "sign_in_started" });
+      try {
+        const data = await api.post("/api/auth/register", payload);
+        dispatch({ type: "sign_in_stopped" });
+        return { ok: true, message: data.message, user: data.user };
+      } catch (err) {
+        dispatch({ type: "sign_in_stopped", error: err.message || "Registration failed" });
+        return { ok: false, message: err.message || "Registration failed", fields: err.fields };
+      }
+    },
+    [api]
+  );
+
+  const requestPasswordReset = useCallback(
+    async (email) => {
+      try {
+        const data = await api.post("/api/auth/forgot-password", { email });
+        return { ok: true, message: data.message };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not send reset link", fields: err.fields };
+      }
+    },
+    [api]
+  );
+
+  const resetPassword = useCallback(
+    async ({ token: resetToken, password }) => {
+      try {
+        const data = await api.post("/api/auth/reset-password", { token: resetToken, password });
+        // every session was revoked server-side, so drop ours (and the other tabs') as well
+        signOutEverywhere();
+        return { ok: true, message: data.message };
+      } catch (err) {
+        return { ok: false, message: err.message || "Password reset failed", fields: err.fields };
+      }
+    },
+    [api, signOutEverywhere]
+  );
+
+  const verifyEmail = useCallback(
+    async (verificationToken) => {
+      try {
+        const data = await api.get(`/api/auth/verify-email?token=${encodeURIComponent(verificationToken)}`);
+        return { ok: true, message: data.message };
+      } catch (err) {
+        return { ok: false, message: err.message || "Email verification failed", fields: err.fields };
+      }
+    },
+    [api]
+  );
+
+  const resendVerification = useCallback(
+    async (email) => {
+      try {
+        const data = await api.post("/api/auth/resend-verification", { email });
+        return { ok: true, message: data.message };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not resend verification email", fields: err.fields };
+      }
+    },
+    [api]
+  );
+
+  const updateProfile = useCallback(
+    async ({ name, email }) => {
+      try {
+        const data = await api.patch("/api/auth/me", { name, email });
+        dispatch({ type: "user_updated", user: data.user });
+        return { ok: true, message: data.message };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not update profile", fields: err.fields };
+      }
+    },
+    [api]
+  );
+
+  const changePassword = useCallback(
+    async ({ currentPassword, newPassword }) => {
+      try {
+        const data = await api.post("/api/auth/change-password", { currentPassword, newPassword });
+        // the old access token is revoked by the change; the response carries a new one
+        acceptSession(data);
+        return { ok: true, message: data.message };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not change password", fields: err.fields };
+      }
+    },
+    [api, acceptSession]
+  );
+
+  const deleteAccount = useCallback(
+    async (password) => {
+      try {
+        const data = await api.delete("/api/auth/me", { password });
+        signOutEverywhere();
+        return { ok: true, message: data.message };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not delete account", fields: err.fields };
+      }
+    },
+    [api, signOutEverywhere]
+  );
+
+  const getOrganization = useCallback(async () => {
     try {
-      const res = await fetch("/api/auth/register", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || "Registration failed");
-      setLoading(false);
-      return { ok: true };
+      const data = await api.get("/api/orgs/current");
+      return { ok: true, ...data };
     } catch (err) {
-      setLoading(false);
-      return { ok: false, message: err.message || "Registration failed" };
+      return { ok: false, message: err.message || "Could not load organization" };
     }
-  }
+  }, [api]);
 
-  function logout() {
-    setUser(null);
-    setToken(null);
-    localStorage.removeItem("auth.token");
-    localStorage.removeItem("auth.user");
-  }
+  const getInvitation = useCallback(
+    async (inviteToken) => {
+      try {
+        const data = await api.get(`/api/orgs/invites/${encodeURIComponent(inviteToken)}`);
+        return { ok: true, invitation: data.invitation };
+      } catch (err) {
+        return { ok: false, message: err.message || "Invitation is invalid or has expired" };
+      }
+    },
+    [api]
+  );
+
+  const inviteMember = useCallback(
+    async (email) => {
+      try {
+        const data = await api.post("/api/orgs/invites", { email });
+        return { ok: true, message: data.message, invitation: data.invitation };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not send invitation", fields: err.fields };
+      }
+    },
+    [api]
+  );
+
+  const listSessions = useCallback(async () => {
+    try {
+      const data = await api.get("/api/auth/sessions");
+      return { ok: true, sessions: data.sessions };
+    } catch (err) {
+      return { ok: false, message: err.message || "Could not load sessions" };
+    }
+  }, [api]);
+
+  const revokeSession = useCallback(
+    async (id) => {
+      try {
+        const data = await api.delete(`/api/auth/sessions/${encodeURIComponent(id)}`);
+        if (data.current) signOutEverywhere();
+        return { ok: true, message: data.message };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not sign out that session" };
+      }
+    },
+    [api, signOutEverywhere]
+  );
+
+  const revokeOtherSessions = useCallback(async () => {
+    try {
+      const data = await api.delete("/api/auth/sessions");
+      return { ok: true, message: data.message };
+    } catch (err) {
+      return { ok: false, message: err.message || "Could not sign out other sessions" };
+    }
+  }, [api]);
+
+  const listPasskeys = useCallback(async () => {
+    try {
+      const data = await api.get("/api/auth/passkeys");
+      return { ok: true, passkeys: data.passkeys };
+    } catch (err) {
+      return { ok: false, message: err.message || "Could not load passkeys" };
+    }
+  }, [api]);
+
+  const addPasskey = useCallback(
+    async (name) => {
+      try {
+        const options = await api.post("/api/auth/passkeys/register/options");
+        const credential = await createPasskey(options.publicKey);
+
+        const data = await api.post("/api/auth/passkeys", {
+          challengeToken: options.challengeToken,
+          ...credential,
+          name: name || undefined,
+        });
+        return { ok: true, message: data.message, passkey: data.passkey };
+      } catch (err) {
+        if (isCancelled(err)) return { ok: false, cancelled: true };
+        return { ok: false, message: err.message || "Could not add passkey", fields: err.fields };
+      }
+    },
+    [api]
+  );
+
+  const renamePasskey = useCallback(
+    async (id, name) => {
+      try {
+        const data = await api.patch(`/api/auth/passkeys/${encodeURIComponent(id)}`, { name });
+        return { ok: true, message: data.message, passkey: data.passkey };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not rename passkey", fields: err.fields };
+      }
+    },
+    [api]
+  );
+
+  const removePasskey = useCallback(
+    async (id) => {
+      try {
+        const data = await api.delete(`/api/auth/passkeys/${encodeURIComponent(id)}`);
+        return { ok: true, message: data.message };
+      } catch (err) {
+        return { ok: false, message: err.message || "Could not remove passkey" };
+      }
+    },
+    [api]
+  );
+
+  const getActivity = useCallback(async () => {
+    try {
+      const data = await api.get("/api/auth/activity");
+      return { ok: true, events: data.events };
+    } catch (err) {
+      return { ok: false, message: err.message || "Could not load recent activity" };
+    }
+  }, [api]);
+
+  const logout = useCallback(async () => {
+    try {
+      await api.post("/api/auth/logout");
+    } catch {
+      // ignore network errors - local state is cleared regardless
+    }
+    signOutEverywhere();
+  }, [api, signOutEverywhere]);
+
+  // memoized (like every action above) so consumers can list what they use as effect dependencies
+  const value = useMemo(() => {
+    // cookie mode has no readable token, so it uses what GET /api/auth/me reported
+    const claims = token ? tokenClaims(token) : null;
+    const permissions = COOKIE_AUTH ? state.permissions : claims?.permissions || [];
 
-  const value = {
+    return {
+      status,
+      error: state.error,
+      user,
+      roles: COOKIE_AUTH ? user?.roles || [] : claims?.roles || [],
+      permissions,
+      can: (permission) => hasPermission(permissions, permission),
+      token,
+      session,
+      idleWarningAt,
+      staySignedIn,
+      api,
+      loading: status === "loading",
+      login,
+      completeMfaLogin,
+      completeOAuthSignIn,
+      connectOAuthAccount,
+      requestMagicLink,
+      signInWithMagicLink,
+      signInWithPasskey,
+      register,
+      logout,
+      refresh,
+      requestPasswordReset,
+      resetPassword,
+      verifyEmail,
+      resendVerification,
+      updateProfile,
+      changePassword,
+      deleteAccount,
+      getOrganization,
+      getInvitation,
+      inviteMember,
+      listSessions,
+      revokeSession,
+      revokeOtherSessions,
+      getActivity,
+      listPasskeys,
+      addPasskey,
+      renamePasskey,
+      removePasskey,
+      isAuthenticated: COOKIE_AUTH ? !!user : !!token,
+    };
+  }, [
+    status,
+    state.error,
+    state.permissions,
     user,
     token,
-    loading,
+    session,
+    idleWarningAt,
+    staySignedIn,
+    api,
+    refresh,
     login,
+    completeMfaLogin,
+    completeOAuthSignIn,
+    connectOAuthAccount,
+    requestMagicLink,
+    signInWithMagicLink,
+    signInWithPasskey,
     register,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    updateProfile,
+    changePassword,
+    deleteAccount,
+    getOrganization,
+    getInvitation,
+    inviteMember,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    listPasskeys,
+    addPasskey,
+    renamePasskey,
+    removePasskey,
+    getActivity,
     logout,
-    isAuthenticated: !!token,
-  };
+  ]);
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 }
\ No newline at end of file
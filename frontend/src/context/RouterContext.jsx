@@ -0,0 +1,82 @@
+/* eslint-disable react-refresh/only-export-components */
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+
+/**
+ * RouterContext - client-side routing on the History API
+ * - path / search / hash of the current URL (params: search as URLSearchParams); follows back/forward
+ * - navigate(to, { replace }) => pushes (or replaces) `to`, which may carry a ?query and #hash;
+ *   pages scroll to the hash themselves
+ * - <Link to> is an <a> that navigates in-app (modified clicks still open a new tab)
+ * - loginPath(returnTo) / safeReturnTo(value) carry the page to come back to through sign-in;
+ *   stashReturnTo() / stashedReturnTo() keep it across a full-page OAuth round-trip
+ */
+
+const RouterContext = createContext(null);
+
+const RETURN_TO_KEY = "auth.returnTo";
+
+function currentLocation() {
+  const { pathname, search, hash } = window.location;
+  return { path: pathname, search, hash };
+}
+
+// Only same-origin paths are followed after sign-in ("//evil.example" is another host).
+export function safeReturnTo(value, fallback = "/") {
+  return typeof value === "string" && /^\/(?![/\\])/.test(value) ? value : fallback;
+}
+
+export function loginPath(returnTo) {
+  return returnTo && returnTo !== "/" ? `/login?returnTo=${encodeURIComponent(returnTo)}` : "/login";
+}
+
+// Set (or, without one, cleared) whenever an OAuth sign-in starts, so a stale one is never followed.
+export function stashReturnTo(returnTo) {
+  if (returnTo) sessionStorage.setItem(RETURN_TO_KEY, safeReturnTo(returnTo));
+  else sessionStorage.removeItem(RETURN_TO_KEY);
+}
+
+export function stashedReturnTo() {
+  return safeReturnTo(sessionStorage.getItem(RETURN_TO_KEY));
+}
+
+export function useRouter() {
+  return useContext(RouterContext);
+}
+
+export function RouterProvider({ children }) {
+  const [location, setLocation] = useState(currentLocation);
+
+  // keep the location in sync with the browser's back/forward buttons
+  useEffect(() => {
+    const onPopState = () => setLocation(currentLocation());
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const url = new URL(to, window.location.href);
+    if (url.href === window.location.href) return;
+    window.history[replace ? "replaceState" : "pushState"](null, "", url.pathname + url.search + url.hash);
+    setLocation(currentLocation());
+  }, []);
+
+  const value = useMemo(
+    () => ({ ...location, params: new URLSearchParams(location.search), navigate }),
+    [location, navigate]
+  );
+
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+}
+
+export function Link({ to, replace = false, onClick, ...props }) {
+  const { navigate } = useRouter();
+
+  function handleClick(e) {
+    onClick?.(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to, { replace });
+  }
+
+  return <a href={to} onClick={handleClick} {...props} />;
+}
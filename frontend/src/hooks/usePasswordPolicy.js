@@ -0,0 +1,50 @@
+import { useEffect, useState } from "react";
+import { api } from "../utils/api";
+
+/**
+ * Loads the server's password policy (GET /api/auth/password-policy).
+ * Returns null until it arrives, or if it can't be fetched; the server enforces it either way.
+ */
+export default function usePasswordPolicy() {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get("/api/auth/password-policy")
+      .then((data) => {
+        if (!cancelled && data.rules) setPolicy(data);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return policy;
+}
+
+// Each rule with `met`: true/false for the ones checkable in the browser, null for server-only ones.
+export function checkPasswordRules(policy, password = "") {
+  return (policy?.rules || []).map((rule) => ({
+    ...rule,
+    met: rule.pattern ? new RegExp(rule.pattern).test(password) : null,
+  }));
+}
+
+// Error message when a client-checkable rule fails (the checklist shows which), else "".
+export function passwordRuleError(policy, password) {
+  const failed = checkPasswordRules(policy, password).some((rule) => rule.met === false);
+  return failed ? "Password doesn't meet all of the requirements below" : "";
+}
+
+// 0..4 strength score: share of the policy's checkable rules met, with the top
+// score reserved for passwords comfortably longer than the minimum.
+export function passwordScore(policy, password = "") {
+  if (!password) return 0;
+  const checks = checkPasswordRules(policy, password).filter((rule) => rule.met !== null);
+  if (!checks.length) return Math.min(Math.floor(password.length / 4), 4);
+  const met = checks.filter((rule) => rule.met).length;
+  if (met < checks.length) return Math.min(Math.floor((met / checks.length) * 4), 3);
+  return password.length >= (policy.minLength || 8) + 4 ? 4 : 3;
+}
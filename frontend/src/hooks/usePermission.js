@@ -0,0 +1,10 @@
+import { useAuth } from "../context/AuthContext";
+
+/**
+ * True when the signed-in user holds `permission` (e.g. "users:read").
+ * For showing/hiding UI only - every API route checks permissions itself.
+ */
+export default function usePermission(permission) {
+  const { can } = useAuth();
+  return can(permission);
+}
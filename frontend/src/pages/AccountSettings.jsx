@@ -0,0 +1,784 @@
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useRouter } from "../context/RouterContext";
+import FieldError from "../components/FieldError";
+import Can from "../components/Can";
+import PasswordStrength from "../components/PasswordStrength";
+import usePasswordPolicy, { passwordRuleError } from "../hooks/usePasswordPolicy";
+import { passkeysSupported } from "../utils/webauthn";
+
+/**
+ * Account settings page (signed-in users only):
+ * - profile: name + email via PATCH /api/auth/me (a new email applies once its confirmation link is opened)
+ * - password: POST /api/auth/change-password with the current password; other devices are signed out
+ * - connected accounts (#connected): Google/GitHub identities; connecting one needs this signed-in session
+ * - passkeys (browsers with WebAuthn only): add one for this device, rename or remove existing ones
+ * - sessions (#sessions): every signed-in device with the current one marked; sign out one or all others
+ * - recent security activity: sign-ins, failed attempts and account changes from GET /api/auth/activity
+ * - organization (company accounts): members, plus an invite form for users with org:invite
+ * - danger zone: DELETE /api/auth/me soft-deletes the account; signing in again during the grace period restores it
+ *
+ * Props:
+ * - onOpenLogin()
+ */
+
+const inputClass = (invalid) =>
+  `peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${invalid ? "border-red-400" : ""}`;
+
+function Field({ id, label, error, ...props }) {
+  return (
+    <div className="relative">
+      <input
+        id={id}
+        aria-invalid={!!error}
+        aria-describedby={error ? `${id}-error` : undefined}
+        className={inputClass(error)}
+        placeholder=" "
+        {...props}
+      />
+      <label htmlFor={id} className="floating-label">
+        {label}
+      </label>
+      <FieldError id={`${id}-error`} message={error} />
+    </div>
+  );
+}
+
+function Banner({ status }) {
+  if (!status?.message) return null;
+  return (
+    <div className={`${status.ok ? "text-green-700 bg-green-50" : "text-red-700 bg-red-50"} px-3 py-2 rounded`}>
+      {status.message}
+    </div>
+  );
+}
+
+function submitClass(busy, color = "sky") {
+  const colors = {
+    sky: busy ? "bg-sky-500/80 cursor-wait" : "bg-sky-600 hover:bg-sky-700",
+    red: busy ? "bg-red-500/80 cursor-wait" : "bg-red-600 hover:bg-red-700",
+  };
+  return `py-2 px-4 rounded-md text-white font-medium shadow-lg transition ${colors[color]}`;
+}
+
+function ProfileForm({ user }) {
+  const { updateProfile } = useAuth();
+  const [values, setValues] = useState({ name: user.name || "", email: user.email || "" });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setValues({ name: user.name || "", email: user.email || "" });
+  }, [user.name, user.email]);
+
+  function handleChange(e) {
+    setValues({ ...values, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: "" });
+    setStatus(null);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const errors = {};
+    if (values.name.trim().length < 2) errors.name = "Name must be at least 2 characters";
+    if (!/\S+@\S+\.\S+/.test(values.email)) errors.email = "Please enter a valid email address";
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    setSaving(true);
+    const result = await updateProfile(values);
+    setSaving(false);
+    if (result.fields) setFieldErrors(result.fields);
+    setStatus(result);
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Banner status={status} />
+      <Field id="account-name" label="Full name" name="name" value={values.name} onChange={handleChange} error={fieldErrors.name} required />
+      <Field
+        id="account-email"
+        label="Email"
+        name="email"
+        type="email"
+        autoComplete="email"
+        value={values.email}
+        onChange={handleChange}
+        error={fieldErrors.email}
+        required
+      />
+      {user.pendingEmail && (
+        <p className="text-xs text-slate-600">
+          Waiting for confirmation of <span className="font-medium">{user.pendingEmail}</span>. Save your current email
+          again to cancel the change.
+        </p>
+      )}
+      {!user.emailVerified && !user.pendingEmail && (
+        <p className="text-xs text-amber-700">Your email address hasn't been verified yet.</p>
+      )}
+      <button type="submit" disabled={saving} className={submitClass(saving)}>
+        {saving ? "Saving..." : "Save profile"}
+      </button>
+    </form>
+  );
+}
+
+function PasswordForm() {
+  const { changePassword } = useAuth();
+  const policy = usePasswordPolicy();
+  const empty = { currentPassword: "", newPassword: "", confirm: "" };
+  const [values, setValues] = useState(empty);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  function handleChange(e) {
+    setValues({ ...values, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: "" });
+    setStatus(null);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const errors = {};
+    if (!values.newPassword) errors.newPassword = "New password is required";
+    else if (passwordRuleError(policy, values.newPassword)) errors.newPassword = passwordRuleError(policy, values.newPassword);
+    if (values.newPassword !== values.confirm) errors.confirm = "Passwords do not match";
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    setSaving(true);
+    const result = await changePassword(values);
+    setSaving(false);
+    if (result.fields) setFieldErrors(result.fields);
+    if (result.ok) setValues(empty);
+    setStatus(result);
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Banner status={status} />
+      <Field
+        id="current-password"
+        label="Current password"
+        name="currentPassword"
+        type="password"
+        autoComplete="current-password"
+        value={values.currentPassword}
+        onChange={handleChange}
+        error={fieldErrors.currentPassword}
+      />
+      <div>
+        <Field
+          id="account-new-password"
+          label="New password"
+          name="newPassword"
+          type="password"
+          autoComplete="new-password"
+          value={values.newPassword}
+          onChange={handleChange}
+          error={fieldErrors.newPassword}
+          required
+        />
+        <PasswordStrength policy={policy} password={values.newPassword} />
+      </div>
+      <Field
+        id="account-confirm-password"
+        label="Confirm new password"
+        name="confirm"
+        type="password"
+        autoComplete="new-password"
+        value={values.confirm}
+        onChange={handleChange}
+        error={fieldErrors.confirm}
+        required
+      />
+      <button type="submit" disabled={saving} className={submitClass(saving)}>
+        {saving ? "Saving..." : "Change password"}
+      </button>
+    </form>
+  );
+}
+
+function OrganizationPanel() {
+  const { getOrganization, inviteMember } = useAuth();
+  const [org, setOrg] = useState(null);
+  const [email, setEmail] = useState("");
+  const [fieldError, setFieldError] = useState("");
+  const [status, setStatus] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getOrganization().then((result) => !cancelled && setOrg(result));
+    return () => {
+      cancelled = true;
+    };
+  }, [getOrganization]);
+
+  async function handleInvite(e) {
+    e.preventDefault();
+    setSending(true);
+    const result = await inviteMember(email);
+    setSending(false);
+    setFieldError(result.fields?.email || "");
+    setStatus(result.fields ? null : result);
+    if (result.ok) {
+      setEmail("");
+      setOrg((o) => ({ ...o, invitations: [result.invitation, ...(o.invitations || [])] }));
+    }
+  }
+
+  if (!org) return <p className="text-sm text-slate-600">Loading organization...</p>;
+  if (!org.ok) return <Banner status={org} />;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <div className="text-base font-semibold text-slate-800">{org.organization.name}</div>
+        {org.organization.domain && <div className="text-xs text-slate-500">{org.organization.domain}</div>}
+      </div>
+
+      <ul className="divide-y divide-slate-100 text-sm">
+        {org.members.map((member) => (
+          <li key={member._id} className="py-2 flex items-center justify-between">
+            <span>
+              <span className="font-medium text-slate-800">{member.name}</span>{" "}
+              <span className="text-slate-500">{member.email}</span>
+            </span>
+            <span className="text-xs text-slate-500">{member.organizationRole}</span>
+          </li>
+        ))}
+        {(org.invitations || []).map((invitation) => (
+          <li key={invitation._id} className="py-2 flex items-center justify-between">
+            <span className="text-slate-500">{invitation.email}</span>
+            <span className="text-xs text-amber-700">invited</span>
+          </li>
+        ))}
+      </ul>
+
+      <Can permission="org:invite">
+        <form onSubmit={handleInvite} className="space-y-3">
+          <Banner status={status} />
+          <Field
+            id="invite-email"
+            label="Teammate's email"
+            type="email"
+            value={email}
+            onChange={(e) => {
+              setEmail(e.target.value);
+              setFieldError("");
+              setStatus(null);
+            }}
+            error={fieldError}
+            required
+          />
+          <button type="submit" disabled={sending} className={submitClass(sending)}>
+            {sending ? "Sending..." : "Send invitation"}
+          </button>
+        </form>
+      </Can>
+    </div>
+  );
+}
+
+const OAUTH_PROVIDERS = [
+  { id: "google", label: "Google" },
+  { id: "github", label: "GitHub" },
+];
+
+function ConnectedAccountsPanel({ user }) {
+  const { connectOAuthAccount } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  // on success the browser leaves for the provider, so only failures come back here
+  async function handleConnect(provider) {
+    setBusyId(provider);
+    setStatus(null);
+    const result = await connectOAuthAccount(provider);
+    if (!result.ok) {
+      setBusyId(null);
+      setStatus(result);
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <Banner status={status} />
+      <ul className="divide-y divide-slate-100 text-sm">
+        {OAUTH_PROVIDERS.map(({ id, label }) => {
+          const identity = user.identities?.find((candidate) => candidate.provider === id);
+          return (
+            <li key={id} className="py-3 flex items-center justify-between gap-3">
+              <span>
+                <span className="font-medium text-slate-800">{label}</span>
+                <span className="block text-xs text-slate-500">
+                  {identity ? `Connected${identity.email ? ` as ${identity.email}` : ""}` : "Not connected"}
+                </span>
+              </span>
+              {!identity && (
+                <button
+                  onClick={() => handleConnect(id)}
+                  disabled={busyId === id}
+                  className="text-sm text-sky-700 hover:underline disabled:opacity-50"
+                >
+                  {busyId === id ? "Connecting..." : "Connect"}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+const DEVICE_ICONS = { mobile: "📱", tablet: "📱", desktop: "💻" };
+
+function PasskeysPanel() {
+  const { listPasskeys, addPasskey, renamePasskey, removePasskey } = useAuth();
+  const [passkeys, setPasskeys] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, name }
+
+  useEffect(() => {
+    let cancelled = false;
+    listPasskeys().then((result) => {
+      if (cancelled) return;
+      if (result.ok) setPasskeys(result.passkeys);
+      else setStatus(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [listPasskeys]);
+
+  async function handleAdd() {
+    setBusyId("add");
+    const result = await addPasskey();
+    setBusyId(null);
+    // dismissing the browser prompt isn't an error worth showing
+    setStatus(result.cancelled ? null : result);
+    if (result.ok) setPasskeys((list) => [result.passkey, ...list]);
+  }
+
+  async function handleRename(e) {
+    e.preventDefault();
+    setBusyId(editing.id);
+    const result = await renamePasskey(editing.id, editing.name);
+    setBusyId(null);
+    setStatus(result.ok ? null : result);
+    if (!result.ok) return;
+    setPasskeys((list) => list.map((passkey) => (passkey.id === editing.id ? result.passkey : passkey)));
+    setEditing(null);
+  }
+
+  async function handleRemove(id) {
+    setBusyId(id);
+    const result = await removePasskey(id);
+    setBusyId(null);
+    setStatus(result);
+    if (result.ok) setPasskeys((list) => list.filter((passkey) => passkey.id !== id));
+  }
+
+  if (!passkeys)
+    return status ? <Banner status={status} /> : <p className="text-sm text-slate-600">Loading passkeys...</p>;
+
+  return (
+    <div className="space-y-4">
+      <Banner status={status} />
+      {passkeys.length ? (
+        <ul className="divide-y divide-slate-100 text-sm">
+          {passkeys.map((passkey) => (
+            <li key={passkey.id} className="py-3 flex items-center justify-between gap-3">
+              {editing?.id === passkey.id ? (
+                <form onSubmit={handleRename} className="flex flex-1 items-center gap-3">
+                  <input
+                    aria-label="Passkey name"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    maxLength={64}
+                    required
+                    autoFocus
+                    className="flex-1 px-3 py-1.5 border rounded-md bg-transparent focus:outline-none"
+                  />
+                  <button
+                    type="submit"
+                    disabled={busyId === passkey.id}
+                    className="text-sm text-sky-700 hover:underline disabled:opacity-50"
+                  >
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditing(null)}
+                    className="text-sm text-slate-600 hover:underline"
+                  >
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <span>
+                    <span className="font-medium text-slate-800">{passkey.name}</span>
+                    {passkey.backedUp && (
+                      <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-600">
+                        Synced
+                      </span>
+                    )}
+                    <span className="block text-xs text-slate-500">
+                      Added {new Date(passkey.createdAt).toLocaleDateString()} ·{" "}
+                      {passkey.lastUsedAt ? `Last used ${new Date(passkey.lastUsedAt).toLocaleDateString()}` : "Never used"}
+                    </span>
+                  </span>
+                  <span className="flex gap-4">
+                    <button
+                      onClick={() => setEditing({ id: passkey.id, name: passkey.name })}
+                      className="text-sm text-sky-700 hover:underline"
+                    >
+                      Rename
+                    </button>
+                    <button
+                      onClick={() => handleRemove(passkey.id)}
+                      disabled={busyId === passkey.id}
+                      className="text-sm text-red-700 hover:underline disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </span>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-slate-600">You haven't added a passkey yet.</p>
+      )}
+      <button onClick={handleAdd} disabled={busyId === "add"} className={submitClass(busyId === "add")}>
+        {busyId === "add" ? "Waiting for your device..." : "Add a passkey"}
+      </button>
+    </div>
+  );
+}
+
+function formatSeen(date) {
+  const minutes = Math.round((Date.now() - new Date(date)) / 60000);
+  if (minutes < 5) return "Active now";
+  if (minutes < 60) return `Active ${minutes} minutes ago`;
+  if (minutes < 24 * 60) return `Active ${Math.round(minutes / 60)} hours ago`;
+  return `Active ${new Date(date).toLocaleDateString()}`;
+}
+
+function SessionsPanel() {
+  const { listSessions, revokeSession, revokeOtherSessions } = useAuth();
+  const [sessions, setSessions] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listSessions().then((result) => {
+      if (cancelled) return;
+      if (result.ok) setSessions(result.sessions);
+      else setStatus(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [listSessions]);
+
+  async function handleRevoke(id) {
+    setBusyId(id);
+    const result = await revokeSession(id);
+    setBusyId(null);
+    setStatus(result);
+    if (result.ok) setSessions((list) => list.filter((session) => session.id !== id));
+  }
+
+  async function handleRevokeOthers() {
+    setBusyId("others");
+    const result = await revokeOtherSessions();
+    setBusyId(null);
+    setStatus(result);
+    if (result.ok) setSessions((list) => list.filter((session) => session.current));
+  }
+
+  if (!sessions)
+    return status ? <Banner status={status} /> : <p className="text-sm text-slate-600">Loading sessions...</p>;
+
+  return (
+    <div className="space-y-4">
+      <Banner status={status} />
+      <ul className="divide-y divide-slate-100 text-sm">
+        {sessions.map((session) => (
+          <li key={session.id} className="py-3 flex items-center justify-between gap-3">
+            <span className="flex items-center gap-3">
+              <span aria-hidden="true" className="text-xl">
+                {DEVICE_ICONS[session.device] || "🖥️"}
+              </span>
+              <span>
+                <span className="font-medium text-slate-800">
+                  {session.browser} on {session.os}
+                </span>
+                {session.current && (
+                  <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-700">
+                    This device
+                  </span>
+                )}
+                <span className="block text-xs text-slate-500">
+                  {session.current ? "Active now" : formatSeen(session.lastSeenAt)}
+                  {session.ip && ` · ${session.ip}`} · Signed in {new Date(session.createdAt).toLocaleDateString()}
+                </span>
+              </span>
+            </span>
+            <button
+              onClick={() => handleRevoke(session.id)}
+              disabled={busyId === session.id}
+              className="text-sm text-red-700 hover:underline disabled:opacity-50"
+            >
+              Sign out
+            </button>
+          </li>
+        ))}
+      </ul>
+      {sessions.some((session) => !session.current) && (
+        <button
+          onClick={handleRevokeOthers}
+          disabled={busyId === "others"}
+          className={submitClass(busyId === "others")}
+        >
+          {busyId === "others" ? "Signing out..." : "Sign out everywhere else"}
+        </button>
+      )}
+    </div>
+  );
+}
+
+const EVENT_LABELS = {
+  register: "Account created",
+  login: "Signed in",
+  login_mfa: "Signed in with two-factor authentication",
+  oauth_login: "Signed in with a linked account",
+  magic_link_requested: "Sign-in link emailed",
+  magic_link_login: "Signed in with an emailed link",
+  passkey_login: "Signed in with a passkey",
+  logout: "Signed out",
+  refresh: "Session refreshed",
+  password_reset_requested: "Password reset requested",
+  password_reset: "Password reset",
+  password_changed: "Password changed",
+  email_verified: "Email verified",
+  email_changed: "Email address changed",
+  verification_resent: "Verification email sent",
+  profile_updated: "Profile updated",
+  mfa_enabled: "Two-factor authentication turned on",
+  mfa_disabled: "Two-factor authentication turned off",
+  passkey_registered: "Passkey added",
+  passkey_removed: "Passkey removed",
+  recovery_codes_regenerated: "Recovery codes replaced",
+  session_revoked: "Signed out a device",
+  sessions_revoked: "Signed out all other devices",
+  account_deleted: "Account deletion requested",
+  invitation_accepted: "Joined an organization",
+  admin_user_disabled: "Account disabled by an administrator",
+  admin_user_enabled: "Account enabled by an administrator",
+  admin_password_reset_forced: "Password reset required by an administrator",
+  admin_sessions_revoked: "Signed out by an administrator",
+};
+
+function ActivityPanel() {
+  const { getActivity } = useAuth();
+  const [activity, setActivity] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getActivity().then((result) => !cancelled && setActivity(result));
+    return () => {
+      cancelled = true;
+    };
+  }, [getActivity]);
+
+  if (!activity) return <p className="text-sm text-slate-600">Loading activity...</p>;
+  if (!activity.ok) return <Banner status={activity} />;
+  if (!activity.events.length) return <p className="text-sm text-slate-600">No activity recorded yet.</p>;
+
+  return (
+    <ul className="divide-y divide-slate-100 text-sm max-h-96 overflow-y-auto">
+      {activity.events.map((event) => {
+        const failed = event.outcome === "failure";
+        return (
+          <li key={event._id} className="py-2 flex items-start justify-between gap-3">
+            <span>
+              <span className={`font-medium ${failed ? "text-red-700" : "text-slate-800"}`}>
+                {failed && "Failed: "}
+                {EVENT_LABELS[event.type] || event.type}
+              </span>
+              <span className="block text-xs text-slate-500">
+                {new Date(event.createdAt).toLocaleString()}
+                {event.ip && ` · ${event.ip}`}
+                {failed && event.reason && ` · ${event.reason.replace(/_/g, " ")}`}
+              </span>
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+function DeleteAccountForm({ onDeleted }) {
+  const { deleteAccount } = useAuth();
+  const [password, setPassword] = useState("");
+  const [confirming, setConfirming] = useState(false);
+  const [fieldError, setFieldError] = useState("");
+  const [status, setStatus] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setDeleting(true);
+    const result = await deleteAccount(password);
+    setDeleting(false);
+    if (result.ok) return onDeleted?.(result.message);
+    setFieldError(result.fields?.password || "");
+    setStatus(result.fields ? null : result);
+  }
+
+  if (!confirming)
+    return (
+      <button onClick={() => setConfirming(true)} className={submitClass(false, "red")}>
+        Delete account
+      </button>
+    );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Banner status={status} />
+      <p className="text-sm text-slate-600">
+        Enter your password to confirm. You can still sign in during the grace period to cancel the deletion.
+      </p>
+      <Field
+        id="delete-password"
+        label="Password"
+        type="password"
+        autoComplete="current-password"
+        value={password}
+        onChange={(e) => {
+          setPassword(e.target.value);
+          setFieldError("");
+        }}
+        error={fieldError}
+      />
+      <div className="flex gap-3">
+        <button type="submit" disabled={deleting} className={submitClass(deleting, "red")}>
+          {deleting ? "Deleting..." : "Delete my account"}
+        </button>
+        <button
+          type="button"
+          onClick={() => setConfirming(false)}
+          className="py-2 px-4 rounded-md text-slate-700 font-medium hover:bg-slate-100 transition"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function AccountSettings({ onOpenLogin }) {
+  const { user, isAuthenticated } = useAuth();
+  const { hash } = useRouter();
+  const [deletedMessage, setDeletedMessage] = useState("");
+
+  // /account#sessions (from the navbar) jumps to the sessions panel once it renders
+  useEffect(() => {
+    if (user && hash) document.getElementById(hash.slice(1))?.scrollIntoView({ behavior: "smooth" });
+  }, [user, hash]);
+
+  return (
+    <section className="py-24">
+      <div className="max-w-2xl mx-auto px-4 space-y-6">
+        <h1 className="text-3xl font-extrabold text-slate-900">Account settings</h1>
+
+        {deletedMessage ? (
+          <div className="glass-card rounded-2xl shadow-2xl border p-6">
+            <div className="text-green-700 bg-green-50 px-3 py-2 rounded">{deletedMessage}</div>
+          </div>
+        ) : !isAuthenticated ? (
+          <div className="glass-card rounded-2xl shadow-2xl border p-6 space-y-4">
+            <p className="text-slate-600">Sign in to manage your account.</p>
+            <button onClick={() => onOpenLogin?.()} className={submitClass(false)}>
+              Sign in
+            </button>
+          </div>
+        ) : !user ? (
+          <p className="text-sm text-slate-600">Loading your account...</p>
+        ) : (
+          <>
+            <div className="glass-card rounded-2xl shadow-2xl border p-6">
+              <h2 className="text-lg font-semibold text-slate-800 mb-4">Profile</h2>
+              <ProfileForm user={user} />
+            </div>
+
+            <div className="glass-card rounded-2xl shadow-2xl border p-6">
+              <h2 className="text-lg font-semibold text-slate-800 mb-1">Password</h2>
+              <p className="text-sm text-slate-500 mb-4">
+                Changing it signs you out everywhere else. Leave the current password empty if you only sign in with
+                Google or GitHub.
+              </p>
+              <PasswordForm />
+            </div>
+
+            <div id="connected" className="glass-card rounded-2xl shadow-2xl border p-6 scroll-mt-24">
+              <h2 className="text-lg font-semibold text-slate-800 mb-1">Connected accounts</h2>
+              <p className="text-sm text-slate-500 mb-4">Sign in with Google or GitHub once they are connected here.</p>
+              <ConnectedAccountsPanel user={user} />
+            </div>
+
+            {passkeysSupported() && (
+              <div className="glass-card rounded-2xl shadow-2xl border p-6">
+                <h2 className="text-lg font-semibold text-slate-800 mb-1">Passkeys</h2>
+                <p className="text-sm text-slate-500 mb-4">
+                  Sign in with your fingerprint, face or device PIN instead of a password.
+                </p>
+                <PasskeysPanel />
+              </div>
+            )}
+
+            <div id="sessions" className="glass-card rounded-2xl shadow-2xl border p-6 scroll-mt-24">
+              <h2 className="text-lg font-semibold text-slate-800 mb-1">Where you're signed in</h2>
+              <p className="text-sm text-slate-500 mb-4">Sign out any device you don't recognise.</p>
+              <SessionsPanel />
+            </div>
+
+            <div className="glass-card rounded-2xl shadow-2xl border p-6">
+              <h2 className="text-lg font-semibold text-slate-800 mb-1">Recent security activity</h2>
+              <p className="text-sm text-slate-500 mb-4">
+                If something here wasn't you, change your password and sign out your other devices.
+              </p>
+              <ActivityPanel />
+            </div>
+
+            {user.organization && (
+              <Can permission="org:read">
+                <div className="glass-card rounded-2xl shadow-2xl border p-6">
+                  <h2 className="text-lg font-semibold text-slate-800 mb-4">Organization</h2>
+                  <OrganizationPanel />
+                </div>
+              </Can>
+            )}
+
+            <div className="glass-card rounded-2xl shadow-2xl border border-red-200 p-6">
+              <h2 className="text-lg font-semibold text-red-700 mb-1">Delete account</h2>
+              <p className="text-sm text-slate-500 mb-4">Your account is removed for good after a grace period.</p>
+              <DeleteAccountForm onDeleted={setDeletedMessage} />
+            </div>
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,262 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import Can from "../components/Can";
+
+/**
+ * Admin dashboard (users:read):
+ * - searchable, filterable, sortable, paginated table from GET /api/admin/users
+ * - row actions: disable/enable, force password reset, revoke sessions (users:write) and delete (users:delete)
+ *
+ * Props:
+ * - onOpenLogin()
+ */
+
+const PAGE_SIZE = 20;
+
+const COLUMNS = [
+  { key: "name", label: "Name", sortable: true },
+  { key: "email", label: "Email", sortable: true },
+  { key: "roles", label: "Roles" },
+  { key: "status", label: "Status" },
+  { key: "lastLoginAt", label: "Last sign-in", sortable: true },
+  { key: "createdAt", label: "Joined", sortable: true },
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "—");
+
+function statusOf(user) {
+  if (user.deletedAt) return ["Deleted", "bg-slate-200 text-slate-700"];
+  if (user.disabledAt) return ["Disabled", "bg-red-100 text-red-700"];
+  if (!user.emailVerified) return ["Unverified", "bg-amber-100 text-amber-700"];
+  return ["Active", "bg-green-100 text-green-700"];
+}
+
+export default function AdminDashboard({ onOpenLogin }) {
+  const { api, isAuthenticated, user: me, can } = useAuth();
+  const [query, setQuery] = useState({ search: "", status: "", sort: "-createdAt", page: 1 });
+  const [search, setSearch] = useState("");
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busyId, setBusyId] = useState(null);
+
+  const request = useCallback((path, options) => api.request(`/api/admin${path}`, options), [api]);
+
+  const load = useCallback(async () => {
+    const params = new URLSearchParams({ sort: query.sort, page: String(query.page), limit: String(PAGE_SIZE) });
+    if (query.search) params.set("search", query.search);
+    if (query.status) params.set("status", query.status);
+    try {
+      setData(await request(`/users?${params}`));
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [query, request]);
+
+  // a boolean, so a refreshed token with the same permissions doesn't reload the list
+  const canReadUsers = can("users:read");
+
+  useEffect(() => {
+    if (isAuthenticated && canReadUsers) load();
+  }, [isAuthenticated, canReadUsers, load]);
+
+  // debounce the search box so every keystroke doesn't hit the API
+  useEffect(() => {
+    const t = setTimeout(() => setQuery((q) => (q.search === search ? q : { ...q, search, page: 1 })), 300);
+    return () => clearTimeout(t);
+  }, [search]);
+
+  function toggleSort(key) {
+    setQuery((q) => ({ ...q, page: 1, sort: q.sort === `-${key}` ? key : `-${key}` }));
+  }
+
+  async function runAction(user, action) {
+    const actions = {
+      disable: ["POST", "disable", `Disable ${user.email}? They will be signed out everywhere.`],
+      enable: ["POST", "enable"],
+      reset: ["POST", "force-password-reset", `Force ${user.email} to reset their password?`],
+      revoke: ["POST", "revoke-sessions", `Sign ${user.email} out of every session?`],
+      delete: ["DELETE", "", `Permanently delete ${user.email}? This can't be undone.`],
+    };
+    const [method, suffix, confirmText] = actions[action];
+    if (confirmText && !window.confirm(confirmText)) return;
+
+    setBusyId(user._id);
+    try {
+      const result = await request(`/users/${user._id}${suffix ? `/${suffix}` : ""}`, { method, body: {} });
+      setNotice(result.message);
+      await load();
+    } catch (err) {
+      setNotice("");
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  if (!isAuthenticated)
+    return (
+      <section className="py-24">
+        <div className="max-w-md mx-auto px-4 glass-card rounded-2xl shadow-2xl border p-6 space-y-4">
+          <p className="text-slate-600">Sign in with an admin account to continue.</p>
+          <button
+            onClick={() => onOpenLogin?.()}
+            className="py-2 px-4 rounded-md bg-sky-600 text-white font-medium shadow-lg hover:bg-sky-700 transition"
+          >
+            Sign in
+          </button>
+        </div>
+      </section>
+    );
+
+  return (
+    <section className="py-24">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        <h1 className="text-3xl font-extrabold text-slate-900">Users</h1>
+
+        <Can
+          permission="users:read"
+          fallback={<div className="text-red-700 bg-red-50 px-3 py-2 rounded">You don't have access to this page.</div>}
+        >
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search name or email"
+              aria-label="Search users"
+              className="flex-1 px-3 py-2 border rounded-md bg-white/70 focus:outline-none focus:ring-2 focus:ring-sky-300"
+            />
+            <select
+              value={query.status}
+              onChange={(e) => setQuery((q) => ({ ...q, status: e.target.value, page: 1 }))}
+              aria-label="Filter by status"
+              className="px-3 py-2 border rounded-md bg-white/70"
+            >
+              <option value="">All statuses</option>
+              <option value="active">Active</option>
+              <option value="unverified">Unverified</option>
+              <option value="disabled">Disabled</option>
+              <option value="deleted">Pending deletion</option>
+            </select>
+          </div>
+
+          {error && <div className="text-red-700 bg-red-50 px-3 py-2 rounded">{error}</div>}
+          {notice && <div className="text-green-700 bg-green-50 px-3 py-2 rounded">{notice}</div>}
+
+          <div className="glass-card rounded-2xl shadow-2xl border overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 border-b border-slate-100">
+                  {COLUMNS.map((column) => (
+                    <th key={column.key} className="px-4 py-3 font-medium" scope="col">
+                      {column.sortable ? (
+                        <button onClick={() => toggleSort(column.key)} className="hover:text-slate-900">
+                          {column.label}
+                          {query.sort === column.key ? " ▲" : query.sort === `-${column.key}` ? " ▼" : ""}
+                        </button>
+                      ) : (
+                        column.label
+                      )}
+                    </th>
+                  ))}
+                  <th className="px-4 py-3 font-medium" scope="col">
+                    <span className="sr-only">Actions</span>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {!data ? (
+                  <tr>
+                    <td colSpan={COLUMNS.length + 1} className="px-4 py-6 text-center text-slate-500">
+                      Loading users...
+                    </td>
+                  </tr>
+                ) : data.users.length === 0 ? (
+                  <tr>
+                    <td colSpan={COLUMNS.length + 1} className="px-4 py-6 text-center text-slate-500">
+                      No users match.
+                    </td>
+                  </tr>
+                ) : (
+                  data.users.map((user) => {
+                    const [statusLabel, statusClass] = statusOf(user);
+                    const isMe = user._id === me?._id;
+                    const busy = busyId === user._id;
+                    return (
+                      <tr key={user._id} className="border-b border-slate-100 last:border-0">
+                        <td className="px-4 py-3 font-medium text-slate-800">{user.name}</td>
+                        <td className="px-4 py-3 text-slate-600">{user.email}</td>
+                        <td className="px-4 py-3 text-slate-600">{(user.roles || []).join(", ")}</td>
+                        <td className="px-4 py-3">
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${statusClass}`}>{statusLabel}</span>
+                        </td>
+                        <td className="px-4 py-3 text-slate-600">{formatDate(user.lastLoginAt)}</td>
+                        <td className="px-4 py-3 text-slate-600">{formatDate(user.createdAt)}</td>
+                        <td className="px-4 py-3">
+                          <div className="flex flex-wrap gap-2 justify-end">
+                            <Can permission="users:write">
+                              {user.disabledAt ? (
+                                <button disabled={busy} onClick={() => runAction(user, "enable")} className="text-sky-700 hover:underline">
+                                  Enable
+                                </button>
+                              ) : (
+                                !isMe && (
+                                  <button disabled={busy} onClick={() => runAction(user, "disable")} className="text-amber-700 hover:underline">
+                                    Disable
+                                  </button>
+                                )
+                              )}
+                              <button disabled={busy} onClick={() => runAction(user, "reset")} className="text-sky-700 hover:underline">
+                                Force reset
+                              </button>
+                              <button disabled={busy} onClick={() => runAction(user, "revoke")} className="text-sky-700 hover:underline">
+                                Sign out
+                              </button>
+                            </Can>
+                            {!isMe && (
+                              <Can permission="users:delete">
+                                <button disabled={busy} onClick={() => runAction(user, "delete")} className="text-red-700 hover:underline">
+                                  Delete
+                                </button>
+                              </Can>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {data && data.pages > 1 && (
+            <div className="flex items-center justify-between text-sm text-slate-600">
+              <span>
+                Page {data.page} of {data.pages} · {data.total} users
+              </span>
+              <div className="flex gap-2">
+                <button
+                  disabled={data.page <= 1}
+                  onClick={() => setQuery((q) => ({ ...q, page: q.page - 1 }))}
+                  className="px-3 py-1 rounded-md border bg-white/70 disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  disabled={data.page >= data.pages}
+                  onClick={() => setQuery((q) => ({ ...q, page: q.page + 1 }))}
+                  className="px-3 py-1 rounded-md border bg-white/70 disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </Can>
+      </div>
+    </section>
+  );
+}
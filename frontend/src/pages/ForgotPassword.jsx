@@ -0,0 +1,131 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import FieldError from "../components/FieldError";
+
+/**
+ * Forgot password modal:
+ * - same glass UI + entrance animation as Login/Register
+ * - asks for an email and calls POST /api/auth/forgot-password
+ * - always shows the server's generic confirmation (no account enumeration)
+ *
+ * Props:
+ * - onClose()
+ * - onOpenLogin()
+ */
+
+export default function ForgotPassword({ onClose, onOpenLogin }) {
+  const { requestPasswordReset } = useAuth();
+  const [loading, setLoading] = useState(false);
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState("");
+  const [emailError, setEmailError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [mounted, setMounted] = useState(false);
+  const firstInputRef = useRef(null);
+
+  useEffect(() => {
+    requestAnimationFrame(() => setMounted(true));
+    firstInputRef.current?.focus();
+
+    function handleKey(e) {
+      if (e.key === "Escape") onClose?.();
+    }
+    document.addEventListener("keydown", handleKey);
+    return () => document.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  function close(after) {
+    setMounted(false);
+    setTimeout(() => {
+      onClose?.();
+      after?.();
+    }, 160);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const emailRe = /\S+@\S+\.\S+/;
+    if (!emailRe.test(email)) return setEmailError("Please enter a valid email address");
+
+    setLoading(true);
+    setError("");
+    const result = await requestPasswordReset(email);
+    setLoading(false);
+    if (result.ok) setSuccess(result.message);
+    else if (result.fields?.email) setEmailError(result.fields.email);
+    else setError(result.message);
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-4 sm:px-6">
+      <div
+        className={`absolute inset-0 bg-black/45 transition-opacity duration-300 ${mounted ? "opacity-100" : "opacity-0"}`}
+        onClick={() => close()}
+        aria-hidden="true"
+      />
+
+      <div
+        className={`relative w-full max-w-md glass-card rounded-2xl shadow-2xl border p-6 transform transition-all duration-300 ease-out ${
+          mounted ? "opacity-100 scale-100 translate-y-0" : "opacity-0 scale-95 -translate-y-3"
+        }`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="forgot-title"
+      >
+        <h2 id="forgot-title" className="text-2xl font-extrabold text-slate-900">
+          Reset your password
+        </h2>
+        <p className="mt-1 text-sm text-slate-500">We'll email you a link to choose a new one.</p>
+
+        <form onSubmit={handleSubmit} className="mt-5 space-y-4">
+          {error && <div className="text-red-700 bg-red-50 px-3 py-2 rounded">{error}</div>}
+          {success && <div className="text-green-700 bg-green-50 px-3 py-2 rounded">{success}</div>}
+
+          <div className="relative">
+            <input
+              ref={firstInputRef}
+              id="forgot-email"
+              name="email"
+              value={email}
+              onChange={(e) => {
+                setEmail(e.target.value);
+                setError("");
+                setEmailError("");
+              }}
+              aria-invalid={!!emailError}
+              aria-describedby={emailError ? "forgot-email-error" : undefined}
+              type="email"
+              autoComplete="email"
+              required
+              className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${
+                emailError ? "border-red-400" : ""
+              }`}
+              placeholder=" "
+            />
+            <label htmlFor="forgot-email" className="floating-label">
+              Email
+            </label>
+            <FieldError id="forgot-email-error" message={emailError} />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading || !!success}
+            className={`w-full py-2 rounded-md text-white font-medium shadow-lg transition ${
+              loading ? "bg-sky-500/80 cursor-wait" : "bg-sky-600 hover:bg-sky-700"
+            }`}
+          >
+            {loading ? "Sending link..." : "Send reset link"}
+          </button>
+        </form>
+
+        <p className="mt-4 text-sm text-center text-slate-600">
+          Remembered it?{" "}
+          <button onClick={() => close(onOpenLogin)} className="text-sky-600 hover:underline font-medium">
+            Back to sign in
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+}
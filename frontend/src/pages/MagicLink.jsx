@@ -0,0 +1,119 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+
+/**
+ * Magic link page:
+ * - reads the single-use ?token= from the emailed sign-in link and calls GET /api/auth/magic-link/verify
+ * - the link only works in the browser that asked for it (the server checks a nonce cookie)
+ * - accounts with two-factor auth enter their code here before the session starts
+ *
+ * Props:
+ * - onDone() => called once signed in
+ * - onOpenLogin()
+ */
+
+export default function MagicLink({ onDone, onOpenLogin }) {
+  const { signInWithMagicLink, completeMfaLogin } = useAuth();
+  const [status, setStatus] = useState("verifying"); // verifying | mfa | failed
+  const [error, setError] = useState("");
+  const [mfaToken, setMfaToken] = useState("");
+  const [code, setCode] = useState("");
+  const [verifying, setVerifying] = useState(false);
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    // the link is single-use: don't let StrictMode's double effect burn it twice
+    if (startedRef.current) return;
+    startedRef.current = true;
+
+    const token = new URLSearchParams(window.location.search).get("token");
+    if (!token) {
+      setStatus("failed");
+      setError("This sign-in link is missing its token.");
+      return;
+    }
+    signInWithMagicLink(token).then((result) => {
+      if (result.ok) return onDone?.();
+      if (result.mfaRequired) {
+        setMfaToken(result.mfaToken);
+        setStatus("mfa");
+        return;
+      }
+      setStatus("failed");
+      setError(result.message);
+    });
+  }, [signInWithMagicLink, onDone]);
+
+  async function handleMfaSubmit(e) {
+    e.preventDefault();
+    setVerifying(true);
+    // 6 digits is a TOTP code, anything else is treated as a recovery code
+    const result = await completeMfaLogin(
+      /^\d{6}$/.test(code.trim()) ? { mfaToken, code: code.trim() } : { mfaToken, recoveryCode: code }
+    );
+    setVerifying(false);
+    if (result.ok) onDone?.();
+    else setError(result.message);
+  }
+
+  return (
+    <section className="py-24">
+      <div className="max-w-md mx-auto px-4">
+        <div className="glass-card rounded-2xl shadow-2xl border p-6">
+          <h2 className="text-2xl font-extrabold text-slate-900">Signing you in</h2>
+
+          {status === "verifying" && <p className="mt-4 text-sm text-slate-600">Checking your sign-in link...</p>}
+
+          {status === "mfa" && (
+            <form onSubmit={handleMfaSubmit} className="mt-5 space-y-4">
+              {error && <div className="text-red-700 bg-red-50 px-3 py-2 rounded">{error}</div>}
+              <p className="text-sm text-slate-600">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </p>
+              <div className="relative">
+                <input
+                  id="magic-link-mfa-code"
+                  value={code}
+                  onChange={(e) => {
+                    setCode(e.target.value);
+                    setError("");
+                  }}
+                  type="text"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  className="peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none tracking-widest"
+                  placeholder=" "
+                />
+                <label htmlFor="magic-link-mfa-code" className="floating-label">
+                  Authentication code
+                </label>
+              </div>
+              <button
+                type="submit"
+                disabled={verifying}
+                className={`w-full py-2 rounded-md text-white font-medium shadow-lg transition ${
+                  verifying ? "bg-sky-500/80 cursor-wait" : "bg-sky-600 hover:bg-sky-700"
+                }`}
+              >
+                {verifying ? "Verifying..." : "Verify"}
+              </button>
+            </form>
+          )}
+
+          {status === "failed" && (
+            <div className="mt-5 space-y-4">
+              <div className="text-red-700 bg-red-50 px-3 py-2 rounded">{error}</div>
+              <button
+                onClick={() => onOpenLogin?.()}
+                className="w-full py-2 rounded-md bg-sky-600 text-white font-medium shadow-lg hover:bg-sky-700 transition"
+              >
+                Back to sign in
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useRouter } from "../context/RouterContext";
+
+/**
+ * OAuth callback page:
+ * - the backend redirects here with #token=...&expiresIn=... (or #mfaToken=... / #error=...) after Google/GitHub sign-in
+ * - hands the token to AuthContext, which keeps it for the browser session only
+ *   (cookie mode: the backend sends #signedIn=1 because the session is already in httpOnly cookies)
+ * - accounts with two-factor auth enter their code here before the token is issued
+ * - #linked=<provider> ends "connect an account" from account settings, which this page goes back to
+ *
+ * Props:
+ * - onDone() => called once the token is stored
+ * - onOpenLogin()
+ */
+
+export default function OAuthCallback({ onDone, onOpenLogin }) {
+  const { completeMfaLogin, completeOAuthSignIn } = useAuth();
+  const { navigate } = useRouter();
+  const [params] = useState(() => new URLSearchParams(window.location.hash.slice(1)));
+  const mfaToken = params.get("mfaToken");
+  const linked = params.get("linked");
+  const [code, setCode] = useState("");
+  const [verifying, setVerifying] = useState(false);
+  const [error, setError] = useState(() => {
+    if (params.get("token") || params.get("signedIn") || mfaToken || linked) return "";
+    return params.get("error") || "Sign-in did not complete. Please try again.";
+  });
+
+  useEffect(() => {
+    const token = params.get("token");
+    if (!token && !params.get("signedIn")) return;
+    completeOAuthSignIn({ token, expiresIn: Number(params.get("expiresIn")) });
+    onDone?.();
+  }, [params, onDone, completeOAuthSignIn]);
+
+  async function handleMfaSubmit(e) {
+    e.preventDefault();
+    setVerifying(true);
+    // 6 digits is a TOTP code, anything else is treated as a recovery code
+    const result = await completeMfaLogin(
+      /^\d{6}$/.test(code.trim()) ? { mfaToken, code: code.trim() } : { mfaToken, recoveryCode: code }
+    );
+    setVerifying(false);
+    if (result.ok) onDone?.();
+    else setError(result.message);
+  }
+
+  return (
+    <section className="py-24">
+      <div className="max-w-md mx-auto px-4">
+        <div className="glass-card rounded-2xl shadow-2xl border p-6">
+          <h2 className="text-2xl font-extrabold text-slate-900">{linked ? "Account connected" : "Signing you in"}</h2>
+          {linked ? (
+            <div className="mt-5 space-y-4">
+              <div className="text-green-700 bg-green-50 px-3 py-2 rounded">
+                You can now sign in with {linked === "github" ? "GitHub" : "Google"}.
+              </div>
+              <button
+                onClick={() => navigate("/account#connected", { replace: true })}
+                className="w-full py-2 rounded-md bg-sky-600 text-white font-medium shadow-lg hover:bg-sky-700 transition"
+              >
+                Back to account settings
+              </button>
+            </div>
+          ) : mfaToken ? (
+            <form onSubmit={handleMfaSubmit} className="mt-5 space-y-4">
+              {error && <div className="text-red-700 bg-red-50 px-3 py-2 rounded">{error}</div>}
+              <p className="text-sm text-slate-600">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </p>
+              <div className="relative">
+                <input
+                  id="oauth-mfa-code"
+                  value={code}
+                  onChange={(e) => {
+                    setCode(e.target.value);
+                    setError("");
+                  }}
+                  type="text"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  className="peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none tracking-widest"
+                  placeholder=" "
+                />
+                <label htmlFor="oauth-mfa-code" className="floating-label">
+                  Authentication code
+                </label>
+              </div>
+              <button
+                type="submit"
+                disabled={verifying}
+                className={`w-full py-2 rounded-md text-white font-medium shadow-lg transition ${
+                  verifying ? "bg-sky-500/80 cursor-wait" : "bg-sky-600 hover:bg-sky-700"
+                }`}
+              >
+                {verifying ? "Verifying..." : "Verify"}
+              </button>
+            </form>
+          ) : error ? (
+            <div className="mt-5 space-y-4">
+              <div className="text-red-700 bg-red-50 px-3 py-2 rounded">{error}</div>
+              <button
+                onClick={() => onOpenLogin?.()}
+                className="w-full py-2 rounded-md bg-sky-600 text-white font-medium shadow-lg hover:bg-sky-700 transition"
+              >
+                Back to sign in
+              </button>
+            </div>
+          ) : (
+            <p className="mt-4 text-sm text-slate-600">Finishing sign-in...</p>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -1,20 +1,37 @@
 import React, { useEffect, useRef, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import FieldError from "../components/FieldError";
+import PasswordStrength from "../components/PasswordStrength";
+import usePasswordPolicy, { passwordRuleError } from "../hooks/usePasswordPolicy";
 
 /**
- * Enhanced Register modal:
+ * Enhanced Register modal (or, with `page`, the /signup page):
  * - glass UI + entrance animation
- * - floating labels, password strength hint, animated success banner
- * - creates account via POST /api/auth/register and shows friendly messages
+ * - floating labels, animated success banner
+ * - password rules + strength meter from the server's policy (GET /api/auth/password-policy)
+ * - per-field errors (client checks + the server's { error: { fields } } envelope) shown under each input
+ * - personal or company account; company sign-up also creates the organization
+ * - with an invitation token the email is prefilled + locked and the user joins the inviting organization
+ * - creates account via AuthContext's register() (POST /api/auth/register) and asks the user to verify their email
  *
  * Props:
  * - onClose()
  * - onOpenLogin()
+ * - inviteToken (optional, from an emailed /invite?token=... link)
+ * - page: render inline instead of over the current page (no backdrop)
  */
 
-export default function Register({ onClose, onOpenLogin }) {
+const EMPTY_VALUES = { name: "", email: "", password: "", confirm: "", companyName: "", companyDomain: "" };
+
+export default function Register({ onClose, onOpenLogin, inviteToken, page = false }) {
+  const { register, getInvitation } = useAuth();
+  const policy = usePasswordPolicy();
   const [loading, setLoading] = useState(false);
-  const [values, setValues] = useState({ name: "", email: "", password: "", confirm: "" });
+  const [accountType, setAccountType] = useState("personal");
+  const [invitation, setInvitation] = useState(null);
+  const [values, setValues] = useState(EMPTY_VALUES);
   const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
   const [success, setSuccess] = useState("");
   const [mounted, setMounted] = useState(false);
   const firstInputRef = useRef(null);
@@ -24,107 +41,136 @@ export default function Register({ onClose, onOpenLogin }) {
     firstInputRef.current?.focus();
   }, []);
 
+  // load the invitation so the email can be prefilled and locked
+  useEffect(() => {
+    if (!inviteToken) return;
+    let cancelled = false;
+    getInvitation(inviteToken).then((result) => {
+      if (cancelled) return;
+      if (!result.ok) return setError(result.message);
+      setInvitation(result.invitation);
+      setValues((v) => ({ ...v, email: result.invitation.email }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [inviteToken, getInvitation]);
+
+  const isCompany = !invitation && accountType === "company";
+
   function handleChange(e) {
     setValues({ ...values, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: "" });
     setError("");
     setSuccess("");
   }
 
-  function strength() {
-    const p = values.password || "";
-    let score = 0;
-    if (p.length >= 8) score++;
-    if (/[A-Z]/.test(p)) score++;
-    if (/[0-9]/.test(p)) score++;
-    if (/[^A-Za-z0-9]/.test(p)) score++;
-    return score; // 0..4
-  }
-
+  // returns { field: message } for every invalid input
   function validate() {
-    const { name, email, password, confirm } = values;
-    if (!name || !email || !password || !confirm) return "All fields are required!";
-    if (password.length < 6) return "Password must be at least 6 characters.";
-    if (password !== confirm) return "Passwords do not match.";
-    const emailRe = /\S+@\S+\.\S+/;
-    if (!emailRe.test(email)) return "Please enter a valid email address.";
-    return "";
+    const { name, email, password, confirm, companyName, companyDomain } = values;
+    const errors = {};
+    if (!name.trim()) errors.name = "Name is required";
+    if (isCompany && !companyName.trim()) errors.companyName = "Company name is required";
+    if (isCompany && companyDomain.trim() && !/^[\w-]+(\.[\w-]+)+$/.test(companyDomain.trim()))
+      errors.companyDomain = "Enter a domain like example.com";
+    if (!email.trim()) errors.email = "Email is required";
+    else if (!/\S+@\S+\.\S+/.test(email)) errors.email = "Please enter a valid email address";
+    if (!password) errors.password = "Password is required";
+    else if (passwordRuleError(policy, password)) errors.password = passwordRuleError(policy, password);
+    if (password !== confirm) errors.confirm = "Passwords do not match";
+    return errors;
   }
 
   async function handleSubmit(e) {
     e.preventDefault();
-    const validationError = validate();
-    if (validationError) return setError(validationError);
+    const errors = validate();
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
 
     setLoading(true);
     setError("");
-    try {
-      const res = await fetch("https://mern-auth-login-register.onrender.com/api/auth/register", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          name: values.name,
-          email: values.email,
-          password: values.password,
-        }),
-      });
-
-      const text = await res.text();
-      let data;
-      try {
-        data = text ? JSON.parse(text) : {};
-      } catch {
-        data = { message: text };
-      }
-      if (!res.ok) throw new Error(data.message || "Registration failed");
-
-      setSuccess("Account created successfully! Redirecting to sign in...");
-      setValues({ name: "", email: "", password: "", confirm: "" });
-
-      setTimeout(() => {
-        setMounted(false);
-        setTimeout(() => {
-          onClose?.();
-          if (onOpenLogin) onOpenLogin();
-        }, 120);
-      }, 1100);
-    } catch (err) {
-      setError(err.message || String(err));
-    } finally {
-      setLoading(false);
+    const result = await register({
+      name: values.name,
+      email: values.email,
+      password: values.password,
+      ...(invitation
+        ? { inviteToken }
+        : { accountType, ...(isCompany && { companyName: values.companyName, companyDomain: values.companyDomain }) }),
+    });
+    setLoading(false);
+
+    if (!result.ok) {
+      // validation failures (and a taken email) come back with per-field messages
+      if (result.fields) setFieldErrors(result.fields);
+      else setError(result.message);
+      return;
     }
+    setSuccess(
+      invitation
+        ? `Account created! You've joined ${invitation.organization.name} and can sign in now.`
+        : "Account created! Check your inbox for a link to verify your email address."
+    );
+    setValues(invitation ? { ...EMPTY_VALUES, email: values.email } : EMPTY_VALUES);
   }
 
-  const pwdScore = strength();
-  const scoreLabel = ["Very weak", "Weak", "Okay", "Good", "Strong"][pwdScore];
-
   return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center px-4 sm:px-6">
-      <div
-        className={`absolute inset-0 bg-black/45 transition-opacity duration-300 ${mounted ? "opacity-100" : "opacity-0"}`}
-        onClick={() => {
-          setMounted(false);
-          setTimeout(onClose, 160);
-        }}
-        aria-hidden="true"
-      />
+    <div
+      className={
+        page ? "flex justify-center px-4 sm:px-6 py-24" : "fixed inset-0 z-50 flex items-center justify-center px-4 sm:px-6"
+      }
+    >
+      {!page && (
+        <div
+          className={`absolute inset-0 bg-black/45 transition-opacity duration-300 ${mounted ? "opacity-100" : "opacity-0"}`}
+          onClick={() => {
+            setMounted(false);
+            setTimeout(onClose, 160);
+          }}
+          aria-hidden="true"
+        />
+      )}
 
       <div
         className={`relative w-full max-w-md glass-card rounded-2xl shadow-2xl border p-6 transform transition-all duration-300 ease-out ${
           mounted ? "opacity-100 scale-100 translate-y-0" : "opacity-0 scale-95 -translate-y-3"
         }`}
-        role="dialog"
-        aria-modal="true"
+        role={page ? undefined : "dialog"}
+        aria-modal={page ? undefined : "true"}
         aria-labelledby="register-title"
       >
         <h2 id="register-title" className="text-2xl font-extrabold text-slate-900">
           Create your account
         </h2>
-        <p className="mt-1 text-sm text-slate-500">Start your secure demo account</p>
+        <p className="mt-1 text-sm text-slate-500">
+          {invitation ? `You've been invited to join ${invitation.organization.name}` : "Start your secure demo account"}
+        </p>
 
         <form onSubmit={handleSubmit} className="mt-5 space-y-4">
           {error && <div className="text-red-700 bg-red-50 px-3 py-2 rounded">{error}</div>}
           {success && <div className="text-green-700 bg-green-50 px-3 py-2 rounded">{success}</div>}
 
+          {!invitation && (
+            <div className="grid grid-cols-2 gap-2 p-1 rounded-md bg-slate-100" role="radiogroup" aria-label="Account type">
+              {[
+                ["personal", "Personal"],
+                ["company", "Company"],
+              ].map(([type, label]) => (
+                <button
+                  key={type}
+                  type="button"
+                  role="radio"
+                  aria-checked={accountType === type}
+                  onClick={() => setAccountType(type)}
+                  className={`py-1.5 rounded text-sm font-medium transition ${
+                    accountType === type ? "bg-white text-slate-900 shadow-sm" : "text-slate-600 hover:text-slate-900"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
           <div className="relative">
             <input
               ref={firstInputRef}
@@ -132,14 +178,17 @@ export default function Register({ onClose, onOpenLogin }) {
               name="name"
               value={values.name}
               onChange={handleChange}
+              aria-invalid={!!fieldErrors.name}
+              aria-describedby={fieldErrors.name ? "name-error" : undefined}
               type="text"
               required
-              className="peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none"
+              className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${fieldErrors.name ? "border-red-400" : ""}`}
               placeholder=" "
             />
             <label htmlFor="name" className="floating-label">
               Full name
             </label>
+            <FieldError id="name-error" message={fieldErrors.name} />
           </div>
 
           <div className="relative">
@@ -148,41 +197,82 @@ export default function Register({ onClose, onOpenLogin }) {
               name="email"
               value={values.email}
               onChange={handleChange}
+              readOnly={!!invitation}
+              aria-invalid={!!fieldErrors.email}
+              aria-describedby={fieldErrors.email ? "email-error" : undefined}
               type="email"
               required
-              className="peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none"
+              className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${fieldErrors.email ? "border-red-400" : ""} ${
+                invitation ? "text-slate-500 cursor-not-allowed" : ""
+              }`}
               placeholder=" "
             />
             <label htmlFor="email" className="floating-label">
               Email
             </label>
+            <FieldError id="email-error" message={fieldErrors.email} />
           </div>
 
+          {isCompany && (
+            <>
+              <div className="relative">
+                <input
+                  id="companyName"
+                  name="companyName"
+                  value={values.companyName}
+                  onChange={handleChange}
+                  aria-invalid={!!fieldErrors.companyName}
+                  aria-describedby={fieldErrors.companyName ? "companyName-error" : undefined}
+                  type="text"
+                  autoComplete="organization"
+                  required
+                  className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${fieldErrors.companyName ? "border-red-400" : ""}`}
+                  placeholder=" "
+                />
+                <label htmlFor="companyName" className="floating-label">
+                  Company name
+                </label>
+                <FieldError id="companyName-error" message={fieldErrors.companyName} />
+              </div>
+
+              <div className="relative">
+                <input
+                  id="companyDomain"
+                  name="companyDomain"
+                  value={values.companyDomain}
+                  onChange={handleChange}
+                  aria-invalid={!!fieldErrors.companyDomain}
+                  aria-describedby={fieldErrors.companyDomain ? "companyDomain-error" : undefined}
+                  type="text"
+                  className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${fieldErrors.companyDomain ? "border-red-400" : ""}`}
+                  placeholder=" "
+                />
+                <label htmlFor="companyDomain" className="floating-label">
+                  Company domain (optional)
+                </label>
+                <FieldError id="companyDomain-error" message={fieldErrors.companyDomain} />
+              </div>
+            </>
+          )}
+
           <div className="relative">
             <input
               id="password"
               name="password"
               value={values.password}
               onChange={handleChange}
+              aria-invalid={!!fieldErrors.password}
+              aria-describedby={fieldErrors.password ? "password-error" : undefined}
               type="password"
               required
-              className="peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none"
+              className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${fieldErrors.password ? "border-red-400" : ""}`}
               placeholder=" "
             />
             <label htmlFor="password" className="floating-label">
               Password
             </label>
-            <div className="mt-2 text-xs text-slate-500">Use at least 8 characters for a stronger password.</div>
-
-            <div className="mt-2 h-2 bg-slate-100 rounded-full overflow-hidden">
-              <div
-                className={`h-full rounded-full transition-width duration-300 ${
-                  pwdScore <= 1 ? "bg-red-400 w-1/5" : pwdScore === 2 ? "bg-yellow-400 w-2/5" : pwdScore === 3 ? "bg-emerald-400 w-3/5" : "bg-green-500 w-4/5"
-                }`}
-                style={{ width: `${(pwdScore / 4) * 100}%` }}
-              />
-            </div>
-            <div className="mt-1 text-xs text-slate-600">{scoreLabel}</div>
+            <FieldError id="password-error" message={fieldErrors.password} />
+            <PasswordStrength policy={policy} password={values.password} />
           </div>
 
           <div className="relative">
@@ -191,14 +281,17 @@ export default function Register({ onClose, onOpenLogin }) {
               name="confirm"
               value={values.confirm}
               onChange={handleChange}
+              aria-invalid={!!fieldErrors.confirm}
+              aria-describedby={fieldErrors.confirm ? "confirm-error" : undefined}
               type="password"
               required
-              className="peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none"
+              className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${fieldErrors.confirm ? "border-red-400" : ""}`}
               placeholder=" "
             />
             <label htmlFor="confirm" className="floating-label">
               Confirm password
             </label>
+            <FieldError id="confirm-error" message={fieldErrors.confirm} />
           </div>
 
           <button
@@ -216,10 +309,10 @@ export default function Register({ onClose, onOpenLogin }) {
           Already have an account?{" "}
           <button
             onClick={() => {
-              // close then open login
+              // close then open login (the page just moves on)
               setMounted(false);
               setTimeout(() => {
-                onClose?.();
+                if (!page) onClose?.();
                 if (onOpenLogin) onOpenLogin();
               }, 160);
             }}
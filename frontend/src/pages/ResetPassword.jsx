@@ -0,0 +1,134 @@
+import React, { useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import FieldError from "../components/FieldError";
+import PasswordStrength from "../components/PasswordStrength";
+import usePasswordPolicy, { passwordRuleError } from "../hooks/usePasswordPolicy";
+
+/**
+ * Reset password page:
+ * - reads the single-use ?token= from the emailed link
+ * - shows the server's password rules; the new password must also differ from recent ones
+ * - calls POST /api/auth/reset-password; on success every session is signed out
+ *
+ * Props:
+ * - onOpenLogin()
+ */
+
+export default function ResetPassword({ onOpenLogin }) {
+  const { resetPassword } = useAuth();
+  const policy = usePasswordPolicy();
+  const [token] = useState(() => new URLSearchParams(window.location.search).get("token") || "");
+  const [values, setValues] = useState({ password: "", confirm: "" });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(token ? "" : "This reset link is missing its token.");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [success, setSuccess] = useState("");
+
+  function handleChange(e) {
+    setValues({ ...values, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: "" });
+    setError("");
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const errors = {};
+    if (passwordRuleError(policy, values.password)) errors.password = passwordRuleError(policy, values.password);
+    if (values.password !== values.confirm) errors.confirm = "Passwords do not match";
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    setLoading(true);
+    const result = await resetPassword({ token, password: values.password });
+    setLoading(false);
+    if (!result.ok) {
+      // a bad/expired token has no input of its own, so it stays in the banner
+      if (result.fields?.password) return setFieldErrors({ password: result.fields.password });
+      return setError(result.fields?.token || result.message);
+    }
+    setSuccess(result.message);
+    setValues({ password: "", confirm: "" });
+  }
+
+  return (
+    <section className="py-24">
+      <div className="max-w-md mx-auto px-4">
+        <div className="glass-card rounded-2xl shadow-2xl border p-6">
+          <h2 className="text-2xl font-extrabold text-slate-900">Choose a new password</h2>
+          <p className="mt-1 text-sm text-slate-500">You'll be signed out everywhere once it's changed.</p>
+
+          {success ? (
+            <div className="mt-5 space-y-4">
+              <div className="text-green-700 bg-green-50 px-3 py-2 rounded">{success}</div>
+              <button
+                onClick={() => onOpenLogin?.()}
+                className="w-full py-2 rounded-md bg-sky-600 text-white font-medium shadow-lg hover:bg-sky-700 transition"
+              >
+                Sign in
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="mt-5 space-y-4">
+              {error && <div className="text-red-700 bg-red-50 px-3 py-2 rounded">{error}</div>}
+
+              <div className="relative">
+                <input
+                  id="new-password"
+                  name="password"
+                  value={values.password}
+                  onChange={handleChange}
+                  aria-invalid={!!fieldErrors.password}
+                  aria-describedby={fieldErrors.password ? "new-password-error" : undefined}
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${
+                    fieldErrors.password ? "border-red-400" : ""
+                  }`}
+                  placeholder=" "
+                />
+                <label htmlFor="new-password" className="floating-label">
+                  New password
+                </label>
+                <FieldError id="new-password-error" message={fieldErrors.password} />
+                <PasswordStrength policy={policy} password={values.password} />
+              </div>
+
+              <div className="relative">
+                <input
+                  id="confirm-new-password"
+                  name="confirm"
+                  value={values.confirm}
+                  onChange={handleChange}
+                  aria-invalid={!!fieldErrors.confirm}
+                  aria-describedby={fieldErrors.confirm ? "confirm-new-password-error" : undefined}
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${
+                    fieldErrors.confirm ? "border-red-400" : ""
+                  }`}
+                  placeholder=" "
+                />
+                <label htmlFor="confirm-new-password" className="floating-label">
+                  Confirm new password
+                </label>
+                <FieldError id="confirm-new-password-error" message={fieldErrors.confirm} />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading || !token}
+                className={`w-full py-2 rounded-md text-white font-medium shadow-lg transition ${
+                  loading ? "bg-sky-500/80 cursor-wait" : "bg-sky-600 hover:bg-sky-700"
+                }`}
+              >
+                {loading ? "Saving..." : "Reset password"}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+
+/**
+ * Verify email page:
+ * - reads the single-use ?token= from the emailed link and calls GET /api/auth/verify-email
+ * - on failure offers to resend a fresh link via POST /api/auth/resend-verification
+ *
+ * Props:
+ * - onOpenLogin()
+ */
+
+export default function VerifyEmail({ onOpenLogin }) {
+  const { verifyEmail, resendVerification } = useAuth();
+  const [status, setStatus] = useState("verifying"); // verifying | verified | failed
+  const [message, setMessage] = useState("");
+  const [email, setEmail] = useState("");
+  const [resendMessage, setResendMessage] = useState("");
+  const [resending, setResending] = useState(false);
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    // the token is single-use: don't let StrictMode's double effect burn it twice
+    if (startedRef.current) return;
+    startedRef.current = true;
+
+    const token = new URLSearchParams(window.location.search).get("token");
+    if (!token) {
+      setStatus("failed");
+      setMessage("This verification link is missing its token.");
+      return;
+    }
+    verifyEmail(token).then((result) => {
+      setStatus(result.ok ? "verified" : "failed");
+      setMessage(result.message);
+    });
+  }, [verifyEmail]);
+
+  async function handleResend(e) {
+    e.preventDefault();
+    setResending(true);
+    const result = await resendVerification(email);
+    setResending(false);
+    setResendMessage(result.message);
+  }
+
+  return (
+    <section className="py-24">
+      <div className="max-w-md mx-auto px-4">
+        <div className="glass-card rounded-2xl shadow-2xl border p-6">
+          <h2 className="text-2xl font-extrabold text-slate-900">Email verification</h2>
+
+          {status === "verifying" && <p className="mt-4 text-sm text-slate-600">Verifying your email address...</p>}
+
+          {status === "verified" && (
+            <div className="mt-5 space-y-4">
+              <div className="text-green-700 bg-green-50 px-3 py-2 rounded">{message}</div>
+              <button
+                onClick={() => onOpenLogin?.()}
+                className="w-full py-2 rounded-md bg-sky-600 text-white font-medium shadow-lg hover:bg-sky-700 transition"
+              >
+                Sign in
+              </button>
+            </div>
+          )}
+
+          {status === "failed" && (
+            <form onSubmit={handleResend} className="mt-5 space-y-4">
+              <div className="text-red-700 bg-red-50 px-3 py-2 rounded">{message}</div>
+              {resendMessage && <div className="text-green-700 bg-green-50 px-3 py-2 rounded">{resendMessage}</div>}
+
+              <div className="relative">
+                <input
+                  id="resend-email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  type="email"
+                  autoComplete="email"
+                  required
+                  className="peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none"
+                  placeholder=" "
+                />
+                <label htmlFor="resend-email" className="floating-label">
+                  Email
+                </label>
+              </div>
+
+              <button
+                type="submit"
+                disabled={resending}
+                className={`w-full py-2 rounded-md text-white font-medium shadow-lg transition ${
+                  resending ? "bg-sky-500/80 cursor-wait" : "bg-sky-600 hover:bg-sky-700"
+                }`}
+              >
+                {resending ? "Sending..." : "Send a new link"}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -1,25 +1,55 @@
 import React, { useEffect, useRef, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import FieldError from "../components/FieldError";
+import { apiUrl } from "../utils/api";
+import { stashReturnTo } from "../context/RouterContext";
+import { conditionalMediationAvailable, passkeysSupported } from "../utils/webauthn";
 
 /**
- * Enhanced Login modal:
+ * Enhanced Login modal (or, with `page`, the /login page):
  * - glass UI + entrance animation
- * - safe JSON fetch handling (safeFetchJson)
- * - floating labels, show/hide password, spinner, social buttons (placeholders)
- * - stores auth.token / auth.user and dispatches "authChange"
+ * - floating labels, show/hide password, spinner, Google/GitHub sign-in (redirects to /api/auth/oauth/:provider)
+ * - signs in through AuthContext (login / completeMfaLogin), which keeps the session; "Remember me" is sent
+ *   to the server, and only remembered sessions are kept in localStorage
+ * - offers to resend the verification email when the server requires a verified address
+ * - per-field errors (client checks + the server's { error: { fields } } envelope) shown under each input
+ * - counts down and blocks submits while the server reports a lockout (429 + Retry-After)
+ * - two-step sign-in: when the server answers "mfa_required" asks for a TOTP or recovery code
+ * - "Email me a sign-in link": POST /api/auth/magic-link instead of a password (the link opens /magic-link)
+ * - passkeys: offered in the email field's autofill (conditional UI) and via "Sign in with a passkey"
  *
  * Props:
  * - onClose()
  * - onOpenRegister()
+ * - onOpenForgotPassword()
+ * - onSignedIn() (optional, defaults to onClose) => called once signed in
+ * - page: render inline instead of over the current page (no backdrop, close button or focus trap)
+ * - returnTo (optional): the page to come back to after an OAuth sign-in, which leaves the app
  */
 
-export default function Login({ onClose, onOpenRegister }) {
+export default function Login({ onClose, onOpenRegister, onOpenForgotPassword, onSignedIn, page = false, returnTo }) {
   const [loading, setLoading] = useState(false);
   const [values, setValues] = useState({ email: "", password: "", remember: false });
   const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [unverified, setUnverified] = useState(false);
   const [mounted, setMounted] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  const [step, setStep] = useState("credentials"); // credentials | mfa
+  const [method, setMethod] = useState("password"); // password | link
+  const [notice, setNotice] = useState("");
+  const [mfaToken, setMfaToken] = useState("");
+  const [mfaCode, setMfaCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  const [autofillRound, setAutofillRound] = useState(0);
   const modalRef = useRef(null);
   const firstInputRef = useRef(null);
+  const passkeyAbortRef = useRef(null);
+  const rememberRef = useRef(false);
+  const passkeyResultRef = useRef(null);
+  const { login, completeMfaLogin, resendVerification, requestMagicLink, signInWithPasskey } = useAuth();
 
   useEffect(() => {
     // animate in
@@ -28,6 +58,7 @@ export default function Login({ onClose, onOpenRegister }) {
     const previouslyFocused = document.activeElement;
     // trap focus and set initial focus
     firstInputRef.current?.focus();
+    if (page) return;
 
     function handleKey(e) {
       if (e.key === "Escape") onClose?.();
@@ -56,99 +87,204 @@ export default function Login({ onClose, onOpenRegister }) {
       document.body.style.overflow = "";
       previouslyFocused?.focus();
     };
-  }, [onClose]);
+  }, [onClose, page]);
+
+  // tick once a second while locked out so the countdown updates
+  useEffect(() => {
+    if (!lockedUntil) return;
+    const t = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= lockedUntil) {
+        setLockedUntil(0);
+        setError("");
+      }
+    }, 1000);
+    return () => clearInterval(t);
+  }, [lockedUntil]);
+
+  useEffect(() => {
+    rememberRef.current = values.remember;
+  }, [values.remember]);
+
+  // the latest handler, so a re-render (new onClose/onSignedIn props) doesn't restart the autofill request
+  useEffect(() => {
+    passkeyResultRef.current = handlePasskeyResult;
+  });
+
+  // offer saved passkeys in the email field's autofill while the credentials step is showing;
+  // the pending request resolves once the user picks one, and is aborted when the modal closes
+  useEffect(() => {
+    if (step !== "credentials") return;
+    const controller = new AbortController();
+    passkeyAbortRef.current = controller;
+    conditionalMediationAvailable().then(async (available) => {
+      if (!available || controller.signal.aborted) return;
+      const result = await signInWithPasskey({
+        remember: rememberRef.current,
+        conditional: true,
+        signal: controller.signal,
+      });
+      if (!controller.signal.aborted) passkeyResultRef.current(result);
+    });
+    return () => controller.abort();
+  }, [step, autofillRound, signInWithPasskey]);
+
+  const lockSecondsLeft = lockedUntil ? Math.max(Math.ceil((lockedUntil - now) / 1000), 0) : 0;
+  const lockCountdown = `${Math.floor(lockSecondsLeft / 60)}:${String(lockSecondsLeft % 60).padStart(2, "0")}`;
+
+  // remember a lockout (429 with retryAfter seconds) so the form counts down instead of failing again
+  function noteLockout(retryAfter) {
+    if (!retryAfter) return;
+    setNow(Date.now());
+    setLockedUntil(Date.now() + retryAfter * 1000);
+  }
 
   function onChange(e) {
     const { name, value, type, checked } = e.target;
     setError("");
+    setFieldErrors((f) => ({ ...f, [name]: "" }));
+    setUnverified(false);
+    setNotice("");
     setValues((v) => ({ ...v, [name]: type === "checkbox" ? checked : value }));
   }
 
+  // returns { field: message } for every invalid input
   function validate() {
-    if (!values.email || !values.password) return "Please enter both email and password.";
-    const emailRe = /\S+@\S+\.\S+/;
-    if (!emailRe.test(values.email)) return "Please enter a valid email address.";
-    return "";
+    const errors = {};
+    if (!values.email) errors.email = "Email is required";
+    else if (!/\S+@\S+\.\S+/.test(values.email)) errors.email = "Please enter a valid email address";
+    if (method === "password" && !values.password) errors.password = "Password is required";
+    return errors;
   }
 
-  // Safe fetch helper that always reads text and tries to parse JSON.
-  async function safeFetchJson(res) {
-    const text = await res.text();
-    if (!text) return { parsed: null, raw: "" };
-    try {
-      return { parsed: JSON.parse(text), raw: text };
-    } catch {
-      return { parsed: null, raw: text };
-    }
+  // AuthContext already holds the new session; close the modal
+  function completeSignIn() {
+    setLoading(false);
+    // nice micro-delay so the user sees the success state
+    setMounted(false);
+    setTimeout(() => (onSignedIn ?? onClose)?.(), 160);
   }
 
-  async function handleSubmit(e) {
-    e.preventDefault();
-    setError("");
-    const vErr = validate();
-    if (vErr) {
-      setError(vErr);
+  // the provider round-trip leaves the app; /oauth/callback picks up returnTo again
+  function startOAuth(provider) {
+    stashReturnTo(returnTo);
+    window.location.assign(apiUrl(`/api/auth/oauth/${provider}`));
+  }
+
+  function handlePasskeyResult(result) {
+    setLoading(false);
+    if (result.cancelled) return;
+    if (result.mfaRequired) {
+      setMfaToken(result.mfaToken);
+      setStep("mfa");
+      return;
+    }
+    if (!result.ok) {
+      setError(result.message);
       return;
     }
+    completeSignIn();
+  }
 
+  async function handlePasskeyClick() {
+    setError("");
+    setNotice("");
+    // a pending autofill request would block the browser's passkey prompt
+    passkeyAbortRef.current?.abort();
     setLoading(true);
-    try {
-      const res = await fetch("https://mern-auth-login-register.onrender.com/api/auth/login", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ email: values.email, password: values.password }),
-      });
+    const result = await signInWithPasskey({ remember: values.remember });
+    handlePasskeyResult(result);
+    if (!result.ok && !result.mfaRequired) setAutofillRound((n) => n + 1);
+  }
 
-      const { parsed, raw } = await safeFetchJson(res);
-      const serverMessage = parsed?.message || (raw ? raw : null);
+  async function submitMfa() {
+    if (!mfaCode.trim()) {
+      setFieldErrors({
+        mfaCode: useRecoveryCode ? "Please enter a recovery code" : "Please enter the 6-digit code from your app",
+      });
+      return;
+    }
 
-      if (!res.ok) {
-        throw new Error(serverMessage || `Login failed (${res.status})`);
-      }
+    setLoading(true);
+    const result = await completeMfaLogin(
+      useRecoveryCode ? { mfaToken, recoveryCode: mfaCode } : { mfaToken, code: mfaCode }
+    );
+    if (result.ok) return completeSignIn();
+
+    setLoading(false);
+    noteLockout(result.retryAfter);
+    if (result.code === "mfa_expired") {
+      setStep("credentials");
+      setMfaToken("");
+      setMfaCode("");
+    }
+    const fields = result.fields;
+    if (fields && (fields.code || fields.recoveryCode)) setFieldErrors({ mfaCode: fields.code || fields.recoveryCode });
+    else setError(result.message);
+  }
 
-      if (!parsed) {
-        throw new Error(`Server returned non-JSON success response: ${raw || "<empty body>"}`);
-      }
+  async function submitMagicLink() {
+    setLoading(true);
+    const result = await requestMagicLink({ email: values.email, remember: values.remember });
+    setLoading(false);
+    if (result.ok) setNotice(result.message);
+    else if (result.fields) setFieldErrors(result.fields);
+    else setError(result.message);
+  }
 
-      const { token, user } = parsed;
-      if (!token) {
-        throw new Error(parsed?.message || "No token returned from server");
-      }
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setNotice("");
+    if (lockSecondsLeft > 0) return;
+    if (step === "mfa") return submitMfa();
 
-      localStorage.setItem("auth.token", token);
-      if (user) localStorage.setItem("auth.user", JSON.stringify(user));
-      else localStorage.setItem("auth.user", JSON.stringify({ email: values.email }));
+    const errors = validate();
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+    if (method === "link") return submitMagicLink();
 
-      window.dispatchEvent(new Event("authChange"));
+    setLoading(true);
+    const result = await login({ email: values.email, password: values.password, remember: values.remember });
+    if (result.ok) return completeSignIn();
 
-      setLoading(false);
-      // nice micro-delay so the user sees the success state
-      setMounted(false);
-      setTimeout(() => onClose?.(), 160);
-    } catch (err) {
-      setLoading(false);
-      setError(err?.message || String(err));
+    setLoading(false);
+    if (result.mfaRequired) {
+      setMfaToken(result.mfaToken);
+      setStep("mfa");
+      return;
     }
+    noteLockout(result.retryAfter);
+    setUnverified(result.code === "email_not_verified");
+    if (result.fields) setFieldErrors(result.fields);
+    else setError(result.message);
   }
 
   return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center px-4 sm:px-6">
+    <div
+      className={
+        page ? "flex justify-center px-4 sm:px-6 py-24" : "fixed inset-0 z-50 flex items-center justify-center px-4 sm:px-6"
+      }
+    >
       {/* Backdrop */}
-      <div
-        className={`absolute inset-0 bg-black/50 transition-opacity duration-300 ${mounted ? "opacity-100" : "opacity-0"}`}
-        onClick={() => {
-          // animate out then close
-          setMounted(false);
-          setTimeout(onClose, 160);
-        }}
-        aria-hidden="true"
-      />
+      {!page && (
+        <div
+          className={`absolute inset-0 bg-black/50 transition-opacity duration-300 ${mounted ? "opacity-100" : "opacity-0"}`}
+          onClick={() => {
+            // animate out then close
+            setMounted(false);
+            setTimeout(onClose, 160);
+          }}
+          aria-hidden="true"
+        />
+      )}
 
       {/* Modal */}
       <div
         ref={modalRef}
-        role="dialog"
-        aria-modal="true"
+        role={page ? undefined : "dialog"}
+        aria-modal={page ? undefined : "true"}
         aria-labelledby="login-title"
         className={`relative w-full max-w-md glass-card rounded-2xl shadow-2xl border p-6 transform transition-all duration-300 ease-out ${
           mounted ? "opacity-100 scale-100 translate-y-0" : "opacity-0 scale-95 -translate-y-3"
@@ -162,16 +298,18 @@ export default function Login({ onClose, onOpenRegister }) {
             <p className="mt-1 text-sm text-slate-500">Sign in to continue to your dashboard</p>
           </div>
 
-          <button
-            onClick={() => {
-              setMounted(false);
-              setTimeout(onClose, 160);
-            }}
-            aria-label="Close dialog"
-            className="ml-auto inline-flex p-2 rounded-md text-slate-500 hover:bg-slate-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-300"
-          >
-            ✕
-          </button>
+          {!page && (
+            <button
+              onClick={() => {
+                setMounted(false);
+                setTimeout(onClose, 160);
+              }}
+              aria-label="Close dialog"
+              className="ml-auto inline-flex p-2 rounded-md text-slate-500 hover:bg-slate-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-300"
+            >
+              ✕
+            </button>
+          )}
         </div>
 
         <form onSubmit={handleSubmit} className="mt-6 space-y-4">
@@ -179,101 +317,227 @@ export default function Login({ onClose, onOpenRegister }) {
             <div className="text-sm text-red-700 bg-red-50 px-3 py-2 rounded flex items-center gap-2">
               <span aria-hidden>⚠️</span>
               <span>{error}</span>
+              {unverified && (
+                <button
+                  type="button"
+                  className="ml-auto text-sky-600 hover:underline whitespace-nowrap"
+                  onClick={async () => {
+                    const result = await resendVerification(values.email);
+                    setUnverified(false);
+                    setError(result.message);
+                  }}
+                >
+                  Resend link
+                </button>
+              )}
             </div>
           )}
 
-          {/* Social sign-in (placeholders) */}
-          <div className="grid grid-cols-2 gap-3">
-            <button
-              type="button"
-              className="flex items-center justify-center gap-2 py-2 rounded-md border bg-white/60 hover:shadow-md transition"
-              onClick={() => alert("Demo only: social sign-in not implemented")}
-            >
-              <img src="https://img.icons8.com/?size=100&id=V5cGWnc9R4xj&format=png&color=000000" alt="" className="w-4 h-4" />
-              <span className="text-sm">Google</span>
-            </button>
-            <button
-              type="button"
-              className="flex items-center justify-center gap-2 py-2 rounded-md border bg-white/60 hover:shadow-md transition"
-              onClick={() => alert("Demo only: social sign-in not implemented")}
-            >
-              <img src="https://img.icons8.com/?size=100&id=12599&format=png&color=000000" alt="" className="w-4 h-4" />
-              <span className="text-sm">GitHub</span>
-            </button>
-          </div>
-
-          <div className="relative">
-            <input
-              ref={firstInputRef}
-              id="email"
-              name="email"
-              value={values.email}
-              onChange={onChange}
-              type="email"
-              autoComplete="email"
-              required
-              className="peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none"
-              placeholder=" "
-            />
-            <label htmlFor="email" className="floating-label">
-              Email
-            </label>
-          </div>
+          {notice && (
+            <div className="text-sm text-green-700 bg-green-50 px-3 py-2 rounded" role="status">
+              {notice}
+            </div>
+          )}
 
-          <div className="relative">
-            <input
-              id="password"
-              name="password"
-              value={values.password}
-              onChange={onChange}
-              type={showPassword ? "text" : "password"}
-              autoComplete="current-password"
-              required
-              className="peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none"
-              placeholder=" "
-            />
-            <label htmlFor="password" className="floating-label">
-              Password
-            </label>
+          {lockSecondsLeft > 0 && (
+            <div className="text-sm text-amber-800 bg-amber-50 px-3 py-2 rounded" role="status">
+              Too many attempts. You can try again in {lockCountdown}.
+            </div>
+          )}
 
-            <button
-              type="button"
-              onClick={() => setShowPassword((s) => !s)}
-              className="absolute right-2 top-2 text-sm text-slate-500 px-2 py-1 rounded focus:outline-none"
-              aria-label={showPassword ? "Hide password" : "Show password"}
-            >
-              {showPassword ? "Hide" : "Show"}
-            </button>
-          </div>
+          {step === "mfa" ? (
+            <>
+              <p className="text-sm text-slate-600">
+                {useRecoveryCode
+                  ? "Enter one of the recovery codes you saved when enabling two-factor authentication."
+                  : "Enter the 6-digit code from your authenticator app."}
+              </p>
+
+              <div className="relative">
+                <input
+                  id="mfa-code"
+                  name="mfaCode"
+                  value={mfaCode}
+                  onChange={(e) => {
+                    setError("");
+                    setFieldErrors({});
+                    setMfaCode(e.target.value);
+                  }}
+                  aria-invalid={!!fieldErrors.mfaCode}
+                  aria-describedby={fieldErrors.mfaCode ? "mfa-code-error" : undefined}
+                  type="text"
+                  inputMode={useRecoveryCode ? "text" : "numeric"}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none tracking-widest ${
+                    fieldErrors.mfaCode ? "border-red-400" : ""
+                  }`}
+                  placeholder=" "
+                />
+                <label htmlFor="mfa-code" className="floating-label">
+                  {useRecoveryCode ? "Recovery code" : "Authentication code"}
+                </label>
+                <FieldError id="mfa-code-error" message={fieldErrors.mfaCode} />
+              </div>
+
+              <button
+                type="button"
+                className="text-sky-600 hover:underline text-sm"
+                onClick={() => {
+                  setUseRecoveryCode((v) => !v);
+                  setMfaCode("");
+                  setError("");
+                  setFieldErrors({});
+                }}
+              >
+                {useRecoveryCode ? "Use your authenticator app instead" : "Use a recovery code instead"}
+              </button>
+            </>
+          ) : (
+            <>
+              {/* Social sign-in (OAuth redirect; the server sends the browser back to /oauth/callback) */}
+              <div className="grid grid-cols-2 gap-3">
+                <button
+                  type="button"
+                  className="flex items-center justify-center gap-2 py-2 rounded-md border bg-white/60 hover:shadow-md transition"
+                  onClick={() => startOAuth("google")}
+                >
+                  <img src="https://img.icons8.com/?size=100&id=V5cGWnc9R4xj&format=png&color=000000" alt="" className="w-4 h-4" />
+                  <span className="text-sm">Google</span>
+                </button>
+                <button
+                  type="button"
+                  className="flex items-center justify-center gap-2 py-2 rounded-md border bg-white/60 hover:shadow-md transition"
+                  onClick={() => startOAuth("github")}
+                >
+                  <img src="https://img.icons8.com/?size=100&id=12599&format=png&color=000000" alt="" className="w-4 h-4" />
+                  <span className="text-sm">GitHub</span>
+                </button>
+              </div>
+
+              {passkeysSupported() && (
+                <button
+                  type="button"
+                  disabled={loading}
+                  className="w-full flex items-center justify-center gap-2 py-2 rounded-md border bg-white/60 hover:shadow-md transition disabled:opacity-60"
+                  onClick={handlePasskeyClick}
+                >
+                  <span aria-hidden="true">🔑</span>
+                  <span className="text-sm">Sign in with a passkey</span>
+                </button>
+              )}
 
-          <div className="flex items-center justify-between text-sm">
-            <label className="flex items-center gap-2">
-              <input
-                name="remember"
-                checked={values.remember}
-                onChange={onChange}
-                type="checkbox"
-                className="h-4 w-4"
-              />
-              <span className="text-slate-600">Remember me</span>
-            </label>
+              <div className="relative">
+                <input
+                  ref={firstInputRef}
+                  id="email"
+                  name="email"
+                  value={values.email}
+                  onChange={onChange}
+                  aria-invalid={!!fieldErrors.email}
+                  aria-describedby={fieldErrors.email ? "email-error" : undefined}
+                  type="email"
+                  autoComplete="username webauthn"
+                  required
+                  className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${
+                    fieldErrors.email ? "border-red-400" : ""
+                  }`}
+                  placeholder=" "
+                />
+                <label htmlFor="email" className="floating-label">
+                  Email
+                </label>
+                <FieldError id="email-error" message={fieldErrors.email} />
+              </div>
+
+              {method === "password" && (
+                <div className="relative">
+                  <input
+                    id="password"
+                    name="password"
+                    value={values.password}
+                    onChange={onChange}
+                    aria-invalid={!!fieldErrors.password}
+                    aria-describedby={fieldErrors.password ? "password-error" : undefined}
+                    type={showPassword ? "text" : "password"}
+                    autoComplete="current-password"
+                    required
+                    className={`peer w-full px-3 pt-5 pb-2 border rounded-md bg-transparent focus:outline-none ${
+                      fieldErrors.password ? "border-red-400" : ""
+                    }`}
+                    placeholder=" "
+                  />
+                  <label htmlFor="password" className="floating-label">
+                    Password
+                  </label>
+                  <FieldError id="password-error" message={fieldErrors.password} />
+
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword((s) => !s)}
+                    className="absolute right-2 top-2 text-sm text-slate-500 px-2 py-1 rounded focus:outline-none"
+                    aria-label={showPassword ? "Hide password" : "Show password"}
+                  >
+                    {showPassword ? "Hide" : "Show"}
+                  </button>
+                </div>
+              )}
 
-            <button
-              type="button"
-              className="text-sky-600 hover:underline text-sm"
-              onClick={() => alert("Forgot password flow not implemented in demo.")}
-            >
-              Forgot?
-            </button>
-          </div>
+              <div className="flex items-center justify-between text-sm">
+                <label className="flex items-center gap-2">
+                  <input
+                    name="remember"
+                    checked={values.remember}
+                    onChange={onChange}
+                    type="checkbox"
+                    className="h-4 w-4"
+                  />
+                  <span className="text-slate-600">Remember me</span>
+                </label>
+
+                {method === "password" && (
+                  <button
+                    type="button"
+                    className="text-sky-600 hover:underline text-sm"
+                    onClick={() => {
+                      // the page stays behind the reset-request modal
+                      if (page) return onOpenForgotPassword?.();
+                      // close then open the reset-request modal
+                      setMounted(false);
+                      setTimeout(() => {
+                        onClose?.();
+                        if (onOpenForgotPassword) onOpenForgotPassword();
+                      }, 160);
+                    }}
+                  >
+                    Forgot?
+                  </button>
+                )}
+              </div>
+
+              <button
+                type="button"
+                className="text-sky-600 hover:underline text-sm"
+                onClick={() => {
+                  setMethod((m) => (m === "password" ? "link" : "password"));
+                  setError("");
+                  setNotice("");
+                  setFieldErrors({});
+                }}
+              >
+                {method === "password" ? "Email me a sign-in link" : "Use my password instead"}
+              </button>
+            </>
+          )}
 
           <div className="flex gap-2">
             <button
               type="submit"
               className={`flex-1 py-2 rounded-md text-white font-medium shadow-lg transition transform ${
-                loading ? "bg-sky-500/80 cursor-wait" : "bg-sky-600 hover:bg-sky-700"
+                loading ? "bg-sky-500/80 cursor-wait" : lockSecondsLeft > 0 ? "bg-slate-400 cursor-not-allowed" : "bg-sky-600 hover:bg-sky-700"
               }`}
-              disabled={loading}
+              disabled={loading || lockSecondsLeft > 0}
             >
               {loading ? (
                 <span className="inline-flex items-center gap-2 justify-center">
@@ -281,8 +545,12 @@ export default function Login({ onClose, onOpenRegister }) {
                     <circle cx="12" cy="12" r="10" stroke="rgba(255,255,255,0.6)" strokeWidth="3"></circle>
                     <path d="M22 12a10 10 0 00-10-10" stroke="white" strokeWidth="3"></path>
                   </svg>
-                  Signing in...
+                  {step === "mfa" ? "Verifying..." : method === "link" ? "Sending link..." : "Signing in..."}
                 </span>
+              ) : step === "mfa" ? (
+                "Verify"
+              ) : method === "link" ? (
+                "Send sign-in link"
               ) : (
                 "Sign in"
               )}
@@ -306,10 +574,10 @@ export default function Login({ onClose, onOpenRegister }) {
           <button
             type="button"
             onClick={() => {
-              // close then open register
+              // close then open register (the page just moves on)
               setMounted(false);
               setTimeout(() => {
-                onClose?.();
+                if (!page) onClose?.();
                 if (onOpenRegister) onOpenRegister();
               }, 160);
             }}
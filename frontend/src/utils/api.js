@@ -0,0 +1,172 @@
+/**
+ * The one HTTP client for the backend API.
+ * - paths ("/api/...") are resolved against VITE_API_URL; leave it empty to call the same origin
+ *   (in development vite.config.js proxies /api to the local backend)
+ * - JSON in and out; every failure is thrown as an ApiError built from the server's
+ *   { error: { code, message, requestId, ...details } } envelope
+ * - requests time out after 15s by default (`timeout`, 0 to wait forever) and accept an AbortSignal;
+ *   aborting through your own signal rejects with the browser's AbortError
+ * - createApiClient(session) attaches the session: the bearer token (or cookies plus the CSRF header),
+ *   a refresh-and-retry on 401 token_expired, and onSessionEnded() when the server says the session is gone.
+ *   AuthContext owns that client; `api` below has no session and suits public endpoints.
+ */
+
+const API_URL = (import.meta.env.VITE_API_URL || "").replace(/\/+$/, "");
+
+export const COOKIE_AUTH = import.meta.env.VITE_AUTH_TRANSPORT === "cookie";
+
+const DEFAULT_TIMEOUT_MS = 15 * 1000;
+const SAFE_METHODS = ["GET", "HEAD"];
+const REFRESH_PATH = "/api/auth/refresh";
+
+// 401 codes a refresh can fix (cookie mode: the access cookie expires with the token), and those that end the session
+const EXPIRED_CODES = COOKIE_AUTH ? ["token_expired", "token_missing"] : ["token_expired"];
+const ENDED_CODES = [
+  "token_invalid",
+  "token_revoked",
+  "session_idle",
+  "user_not_found",
+  "account_deleted",
+  "account_disabled",
+];
+
+// Whether a failure means the session is over (the server refused it), rather than that the server
+// couldn't be reached or failed (status 0 or 5xx), after which the session may well still be valid.
+export function isSessionEnded(err) {
+  return err?.status === 401 || ENDED_CODES.includes(err?.code);
+}
+
+// Absolute URL of an API path, for links and redirects (e.g. the OAuth buttons).
+export function apiUrl(path) {
+  return `${API_URL}${path}`;
+}
+
+// An API failure. `status` is 0 when no response arrived (`code` "network_error" or "timeout"); envelope
+// details such as `fields` (per-field messages), `retryAfter` (seconds) or `missing` are copied onto it.
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = "request_failed", requestId = null, ...details } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    Object.assign(this, details);
+  }
+}
+
+function readCookie(name) {
+  const match = document.cookie.split("; ").find((part) => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+// Cookie mode: the double-submit header for state-changing requests (asks the server for a token if
+// the cookie is gone). Bearer mode needs none.
+async function csrfHeaders() {
+  if (!COOKIE_AUTH) return {};
+  let csrf = readCookie("csrf_token");
+  if (!csrf) {
+    const res = await fetch(apiUrl("/api/auth/csrf"), { credentials: "include" });
+    csrf = (await res.json().catch(() => ({}))).csrfToken;
+  }
+  return csrf ? { "X-CSRF-Token": csrf } : {};
+}
+
+function errorFrom(res, data) {
+  // Retry-After is only readable cross-origin because the server exposes it; the body carries it as well
+  const retryAfter = data?.error?.retryAfter ?? (Number(res.headers.get("Retry-After")) || undefined);
+  if (data?.error) {
+    const { message, ...details } = data.error;
+    return new ApiError(message, { ...details, status: res.status, retryAfter });
+  }
+  return new ApiError(`Request failed (${res.status})`, {
+    status: res.status,
+    requestId: res.headers.get("X-Request-Id"),
+    retryAfter,
+  });
+}
+
+// One round-trip: resolves with the response and its parsed JSON body (null when empty or not JSON).
+async function send(path, { method, body, headers, signal, timeout = DEFAULT_TIMEOUT_MS }) {
+  const controller = new AbortController();
+  const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+  const forwardAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) forwardAbort();
+  signal?.addEventListener("abort", forwardAbort);
+
+  try {
+    const res = await fetch(apiUrl(path), {
+      method,
+      credentials: "include",
+      headers: { ...headers, ...(body !== undefined && { "Content-Type": "application/json" }) },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      // an HTML error page from a proxy or host: errorFrom() falls back to the status
+    }
+    return { res, data };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    if (controller.signal.aborted)
+      throw new ApiError("The server took too long to respond. Please try again.", { code: "timeout" });
+    throw new ApiError("Could not reach the server. Check your connection and try again.", { code: "network_error" });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", forwardAbort);
+  }
+}
+
+/**
+ * session (all optional):
+ * - getToken() => the current bearer token, or null
+ * - refresh() => Promise<boolean>; exchanges the refresh cookie for a new access token
+ * - onSessionEnded() => called when a request is rejected because the session is over
+ * - onActivity() => called for every request except the silent refresh
+ */
+export function createApiClient(session = {}) {
+  let refreshing = null;
+
+  // however many requests hit an expired token together, refresh once
+  function refreshOnce() {
+    refreshing ||= Promise.resolve(session.refresh()).finally(() => {
+      refreshing = null;
+    });
+    return refreshing;
+  }
+
+  async function attempt(path, { method = "GET", headers = {}, ...options }) {
+    const allHeaders = { ...headers, ...(!SAFE_METHODS.includes(method) && (await csrfHeaders())) };
+    const token = session.getToken?.();
+    if (token) allHeaders.Authorization = `Bearer ${token}`;
+    return send(path, { ...options, method, headers: allHeaders });
+  }
+
+  // Resolves with the parsed body ({} when empty) or rejects with an ApiError.
+  async function request(path, options = {}) {
+    const isRefresh = path === REFRESH_PATH;
+    if (!isRefresh) session.onActivity?.();
+
+    let { res, data } = await attempt(path, options);
+    if (res.status === 401 && session.refresh && !isRefresh) {
+      if (EXPIRED_CODES.includes(data?.error?.code) && (await refreshOnce()))
+        ({ res, data } = await attempt(path, options));
+      if (res.status === 401 && ENDED_CODES.includes(data?.error?.code)) session.onSessionEnded?.();
+    }
+    if (!res.ok) throw errorFrom(res, data);
+    return data ?? {};
+  }
+
+  return {
+    request,
+    get: (path, options) => request(path, options),
+    post: (path, body, options) => request(path, { ...options, method: "POST", body }),
+    patch: (path, body, options) => request(path, { ...options, method: "PATCH", body }),
+    delete: (path, body, options) => request(path, { ...options, method: "DELETE", body }),
+  };
+}
+
+export const api = createApiClient();
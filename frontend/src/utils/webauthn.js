@@ -0,0 +1,62 @@
+// Browser side of passkey ceremonies. The server sends options with base64url strings and expects
+// the credential back flattened the same way (see backend/utils/webauthn.js); navigator.credentials
+// works with ArrayBuffers.
+
+function toBuffer(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "=")), (c) => c.charCodeAt(0)).buffer;
+}
+
+function toBase64url(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+export function passkeysSupported() {
+  return typeof window !== "undefined" && !!window.PublicKeyCredential;
+}
+
+// Conditional UI: passkeys offered in the email field's autofill (autocomplete="username webauthn").
+export async function conditionalMediationAvailable() {
+  if (!passkeysSupported() || !window.PublicKeyCredential.isConditionalMediationAvailable) return false;
+  return window.PublicKeyCredential.isConditionalMediationAvailable();
+}
+
+// The user dismissed the browser prompt, or we aborted a pending conditional request.
+export function isCancelled(err) {
+  return err?.name === "NotAllowedError" || err?.name === "AbortError";
+}
+
+export async function createPasskey(publicKey) {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...publicKey,
+      challenge: toBuffer(publicKey.challenge),
+      user: { ...publicKey.user, id: toBuffer(publicKey.user.id) },
+      excludeCredentials: (publicKey.excludeCredentials || []).map((c) => ({ ...c, id: toBuffer(c.id) })),
+    },
+  });
+  return {
+    id: toBase64url(credential.rawId),
+    clientDataJSON: toBase64url(credential.response.clientDataJSON),
+    attestationObject: toBase64url(credential.response.attestationObject),
+  };
+}
+
+export async function getPasskey(publicKey, { mediation, signal } = {}) {
+  const credential = await navigator.credentials.get({
+    publicKey: { ...publicKey, challenge: toBuffer(publicKey.challenge) },
+    mediation,
+    signal,
+  });
+  const { response } = credential;
+  return {
+    id: toBase64url(credential.rawId),
+    clientDataJSON: toBase64url(response.clientDataJSON),
+    authenticatorData: toBase64url(response.authenticatorData),
+    signature: toBase64url(response.signature),
+    ...(response.userHandle && response.userHandle.byteLength && { userHandle: toBase64url(response.userHandle) }),
+  };
+}
@@ -1,7 +1,19 @@
-import { defineConfig } from 'vite'
+import { fileURLToPath } from 'node:url'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react-swc'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, fileURLToPath(new URL('.', import.meta.url)), '')
+
+  return {
+    plugins: [react()],
+    // in development the app calls /api on its own origin (VITE_API_URL unset) and this forwards it
+    // to the local backend, so cookies and the CSRF header work without cross-origin setup
+    server: {
+      proxy: {
+        '/api': { target: env.VITE_DEV_API_TARGET || 'http://localhost:5000', changeOrigin: true },
+      },
+    },
+  }
 })